@@ -0,0 +1,143 @@
+/**
+ * Offline onset detection
+ * Runs the audio splash trigger's OnsetDetector over a WAV file and prints
+ * the onsets it would fire on, to tune AUDIO_SENSITIVITY/AUDIO_MIN_INTERVAL
+ * against a track without a browser
+ *
+ * Usage: node scripts/onsets.js track.wav [--sensitivity 2] [--min-interval 0.15]
+ *                                         [--out onsets.json]
+ *        node scripts/onsets.js --self-check
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+
+import * as CONFIG from '../src/config.js';
+import { detectOnsets } from '../src/onset-detector.js';
+
+const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        sensitivity: { type: 'string', default: String(CONFIG.AUDIO_SENSITIVITY) },
+        'min-interval': { type: 'string', default: String(CONFIG.AUDIO_MIN_INTERVAL) },
+        out: { type: 'string' },
+        'self-check': { type: 'boolean', default: false }
+    }
+});
+
+const sensitivity = parseFloat(args.sensitivity);
+const minInterval = parseFloat(args['min-interval']);
+
+if (positionals.length !== (args['self-check'] ? 0 : 1) || !(sensitivity > 0) || !(minInterval >= 0)) {
+    console.error('onsets: pass one WAV file (or --self-check); --sensitivity must be positive, --min-interval at least 0');
+    process.exit(1);
+}
+
+// ─── Self-check ──────────────────────────────────────────────────────────────
+
+// Clicks on silence, the last one inside only the final analysis frame: each
+// must come back once, no earlier than the click and at most a frame and a hop later
+function selfCheck() {
+    const sampleRate = 44100;
+    const length = sampleRate * 2;
+    const clicks = [0.5, 1.0, 1.5, (length - 256) / sampleRate];
+    const lateness = (1024 + 512) / sampleRate; // detectOnsets' default frame and hop
+
+    const samples = new Float32Array(length);
+    for (const click of clicks) {
+        const start = Math.round(click * sampleRate);
+        for (let i = start; i < Math.min(start + 2048, length); i++) {
+            const t = (i - start) / sampleRate;
+            samples[i] = 0.8 * Math.exp(-t * 200) * Math.sin(2 * Math.PI * 1000 * t);
+        }
+    }
+
+    const onsets = detectOnsets(samples, sampleRate, { sensitivity, minInterval });
+    const found = clicks.every((click, i) => onsets[i] &&
+        onsets[i].time >= click && onsets[i].time - click <= lateness && onsets[i].strength > 0);
+    if (onsets.length !== clicks.length || !found) {
+        console.error(`onsets: self-check failed, clicks at ${clicks.map(c => c.toFixed(3)).join(', ')}s ` +
+            `but got ${JSON.stringify(onsets)}`);
+        process.exit(1);
+    }
+    console.log(`onsets: self-check passed, ${clicks.length} clicks found`);
+    process.exit(0);
+}
+
+if (args['self-check']) selfCheck();
+
+// ─── WAV ─────────────────────────────────────────────────────────────────────
+
+// Mono samples (-1..1) of a PCM (8/16/24/32-bit) or float32 WAV, channels averaged
+function decodeWav(buffer) {
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('not a RIFF/WAVE file');
+    }
+
+    let format = null;
+    let data = null;
+    for (let offset = 12; offset + 8 <= buffer.length;) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+        if (id === 'fmt ') {
+            format = {
+                type: buffer.readUInt16LE(body),
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                bits: buffer.readUInt16LE(body + 14)
+            };
+            // WAVE_FORMAT_EXTENSIBLE keeps the real type in the sub-format GUID
+            if (format.type === 0xFFFE) format.type = buffer.readUInt16LE(body + 24);
+        } else if (id === 'data') {
+            data = buffer.subarray(body, Math.min(body + size, buffer.length));
+        }
+        offset = body + size + (size & 1); // Chunks are word-aligned
+    }
+    if (!format || !data) throw new Error('missing fmt or data chunk');
+
+    const { type, channels, sampleRate, bits } = format;
+    const bytes = bits / 8;
+    let read;
+    if (type === 3 && bits === 32) read = (o) => data.readFloatLE(o);
+    else if (type === 1 && bits === 8) read = (o) => (data.readUInt8(o) - 128) / 128;
+    else if (type === 1 && bits === 16) read = (o) => data.readInt16LE(o) / 32768;
+    else if (type === 1 && bits === 24) read = (o) => data.readIntLE(o, 3) / 8388608;
+    else if (type === 1 && bits === 32) read = (o) => data.readInt32LE(o) / 2147483648;
+    else throw new Error(`unsupported format ${type} with ${bits} bits`);
+
+    const frameBytes = bytes * channels;
+    const length = Math.floor(data.length / frameBytes);
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        let sum = 0;
+        for (let c = 0; c < channels; c++) sum += read(i * frameBytes + c * bytes);
+        samples[i] = sum / channels;
+    }
+    return { samples, sampleRate };
+}
+
+// ─── Detection ───────────────────────────────────────────────────────────────
+
+let decoded;
+try {
+    decoded = decodeWav(readFileSync(positionals[0]));
+} catch (err) {
+    console.error(`onsets: could not read ${positionals[0]}: ${err.message}`);
+    process.exit(1);
+}
+
+const { samples, sampleRate } = decoded;
+const onsets = detectOnsets(samples, sampleRate, { sensitivity, minInterval });
+
+const round = (value) => Math.round(value * 1000) / 1000;
+const report = JSON.stringify({
+    sampleRate,
+    duration: round(samples.length / sampleRate),
+    sensitivity,
+    minInterval,
+    count: onsets.length,
+    onsets: onsets.map(({ time, strength }) => ({ time: round(time), strength: round(strength) }))
+}, null, 2);
+if (args.out) writeFileSync(args.out, report + '\n');
+console.log(report);
@@ -0,0 +1,180 @@
+/**
+ * Backend parity check
+ * Runs the same seeded splash through the single-threaded ParticleSystem and
+ * the worker pool (physics-worker.js on shared buffers, on worker threads),
+ * then checks that every slot ends up with the same state, position and
+ * velocity. Exits with 1 on the first difference
+ *
+ * Usage: node scripts/parity.js [--text WEEKEND] [--steps 240] [--seed 1]
+ *                               [--resolution 48] [--max-particles 100000]
+ *                               [--workers 3] [--font path/to/font.typeface.json]
+ */
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { Worker as ThreadWorker } from 'node:worker_threads';
+import { Font } from 'three/examples/jsm/loaders/FontLoader.js';
+
+import * as CONFIG from '../src/config.js';
+import { createTextWithLetterSpacing, DEFAULT_TEXT_SETTINGS } from '../src/text-geometry.js';
+import { generateSDFBVH } from '../src/sdf-bvh.js';
+import { ParticleSystem, extractTriangles } from '../src/gpu-particles.js';
+import { WorkerParticleSystem } from '../src/particle-system.js';
+import { spawnWave } from '../src/wave-spawner.js';
+import { SplashTimeline } from '../src/splash-timeline.js';
+import { createRandom } from '../src/random.js';
+
+// Arrays that must match slot for slot
+const COMPARED = ['state', 'posX', 'posY', 'posZ', 'velX', 'velY', 'velZ', 'size', 'stickTime'];
+
+// Seconds run before the first splash, so the step counters must agree over empty frames too
+const LEAD_IN = 0.05;
+
+const { values: args } = parseArgs({
+    options: {
+        font: { type: 'string', default: 'node_modules/three/examples/fonts/helvetiker_bold.typeface.json' },
+        text: { type: 'string', default: DEFAULT_TEXT_SETTINGS.text },
+        steps: { type: 'string', default: '240' },
+        resolution: { type: 'string', default: '48' },
+        seed: { type: 'string', default: '1' },
+        'max-particles': { type: 'string', default: '100000' },
+        workers: { type: 'string', default: '3' }
+    }
+});
+
+const totalSteps = parseInt(args.steps, 10);
+const resolution = parseInt(args.resolution, 10);
+const seed = parseInt(args.seed, 10) >>> 0;
+const maxParticles = parseInt(args['max-particles'], 10);
+const workerCount = parseInt(args.workers, 10);
+
+if (!(totalSteps > 0) || !(resolution >= 8) || !(maxParticles > 0) || !(workerCount > 0)) {
+    console.error('parity: --steps, --max-particles and --workers must be positive, --resolution at least 8');
+    process.exit(1);
+}
+
+// The library logs progress for the browser console; keep stdout to the result
+const log = console.log;
+console.log = () => {};
+
+// ─── Workers ─────────────────────────────────────────────────────────────────
+
+// physics-worker.js expects a browser worker scope: self.onmessage and self.postMessage.
+// Messages wait for the module to load, so init can't arrive before its handler
+const WORKER_BOOTSTRAP = `
+const { parentPort, workerData } = require('node:worker_threads');
+globalThis.self = { postMessage: (data) => parentPort.postMessage(data) };
+const loaded = import(workerData);
+parentPort.on('message', (data) => loaded.then(() => self.onmessage({ data })));
+`;
+
+// Browser Worker interface over a worker thread, for WorkerParticleSystem
+globalThis.Worker = class {
+    constructor(url) {
+        this.onmessage = null;
+        this.thread = new ThreadWorker(WORKER_BOOTSTRAP, { eval: true, workerData: url.href });
+        this.thread.on('message', (data) => {
+            if (this.onmessage) this.onmessage({ data });
+        });
+    }
+
+    postMessage(data) {
+        this.thread.postMessage(data);
+    }
+
+    terminate() {
+        this.thread.terminate();
+    }
+};
+
+// ─── Text and SDF ────────────────────────────────────────────────────────────
+
+const font = new Font(JSON.parse(readFileSync(args.font, 'utf8')));
+const geometry = createTextWithLetterSpacing(font, args.text, DEFAULT_TEXT_SETTINGS);
+if (!geometry) {
+    console.error(`parity: could not build geometry for "${args.text}"`);
+    process.exit(1);
+}
+geometry.center();
+geometry.computeBoundingBox();
+const textBBox = geometry.boundingBox;
+
+// Same padding and layout as generateSDFAsync() in the browser
+const bbox = textBBox.clone().expandByScalar(0.8);
+const triangles = extractTriangles(geometry);
+const grid = generateSDFBVH(triangles, bbox, resolution);
+const sdf = {
+    data: grid.data,
+    bbox,
+    size: grid.size,
+    resolution,
+    stepX: grid.stepX,
+    stepY: grid.stepY,
+    stepZ: grid.stepZ,
+    triangleCount: triangles.length
+};
+
+// ─── Simulation ──────────────────────────────────────────────────────────────
+
+const single = new ParticleSystem(maxParticles);
+single.setSDF(sdf);
+single.setSeed(seed);
+
+const pool = new WorkerParticleSystem(maxParticles, workerCount);
+if (!(await pool.init(sdf))) {
+    console.error('parity: SharedArrayBuffer is not available');
+    process.exit(1);
+}
+pool.setSeed(seed);
+
+// Each backend draws its spawns from its own generator with the same seed
+const backends = [
+    { name: 'single-thread', particles: single, spawnRandom: createRandom(seed ^ 0xA5A5A5A5) },
+    { name: 'workers', particles: pool, spawnRandom: createRandom(seed ^ 0xA5A5A5A5) }
+];
+
+const timeline = new SplashTimeline();
+const h = CONFIG.FIXED_TIMESTEP;
+const stepsPerFrame = Math.max(1, Math.round((1 / 60) / h));
+
+let stepsDone = 0;
+while (stepsDone < totalSteps) {
+    const steps = Math.min(stepsPerFrame, totalSteps - stepsDone);
+    const t = stepsDone * h;
+    const videoTime = timeline.start - LEAD_IN + t;
+
+    for (const event of timeline.activeEvents(videoTime)) {
+        const progress = SplashTimeline.progress(event, videoTime);
+        for (const { particles, spawnRandom } of backends) {
+            spawnWave(particles, textBBox, 15 - progress * 15, steps * h, spawnRandom, null, 1, event);
+        }
+    }
+
+    single.update(h, t + h, steps);
+    await pool.update(h, t + h, steps);
+    stepsDone += steps;
+}
+pool.destroy();
+
+// ─── Comparison ──────────────────────────────────────────────────────────────
+
+function firstDifference(a, b) {
+    if (a.count !== b.count) return `slots used: ${a.count} vs ${b.count}`;
+    for (const name of COMPARED) {
+        for (let i = 0; i < a.count; i++) {
+            // Object.is so NaN matches NaN and a sign flip of zero still shows
+            if (!Object.is(a[name][i], b[name][i])) {
+                return `${name}[${i}]: ${a[name][i]} vs ${b[name][i]} (state ${a.state[i]} vs ${b.state[i]})`;
+            }
+        }
+    }
+    return null;
+}
+
+const difference = firstDifference(single, pool);
+if (difference) {
+    console.error(`parity: single-thread and workers differ after ${totalSteps} steps - ${difference}`);
+    process.exit(1);
+}
+
+log(`parity: single-thread and workers match after ${totalSteps} steps (${single.count} slots, ${single.countOnText()} on text)`);
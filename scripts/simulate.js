@@ -0,0 +1,235 @@
+/**
+ * Headless splash simulation
+ * Builds the text, generates the SDF and runs the CPU ParticleSystem for a
+ * fixed number of steps from the first splash event, with no browser or GPU,
+ * then prints statistics
+ *
+ * Usage: node scripts/simulate.js [--text WEEKEND] [--steps 480] [--seed 1]
+ *                                 [--resolution 128] [--max-particles 200000]
+ *                                 [--font path/to/font.typeface.json]
+ *                                 [--timeline waves.json]
+ *                                 [--out stats.json] [--verbose]
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { performance } from 'node:perf_hooks';
+import { Font } from 'three/examples/jsm/loaders/FontLoader.js';
+
+import * as CONFIG from '../src/config.js';
+import { createTextWithLetterSpacing, DEFAULT_TEXT_SETTINGS } from '../src/text-geometry.js';
+import { generateSDFBVH } from '../src/sdf-bvh.js';
+import { ParticleSystem, extractTriangles, validateSDF } from '../src/gpu-particles.js';
+import { spawnWave } from '../src/wave-spawner.js';
+import { SplashTimeline } from '../src/splash-timeline.js';
+import { createRandom } from '../src/random.js';
+import { FALLING, STUCK, SLIDING, DRIPPING, INACTIVE, BOUNCING } from '../src/physics-kernel.js';
+
+const STATE_NAMES = {
+    [FALLING]: 'falling',
+    [STUCK]: 'stuck',
+    [SLIDING]: 'sliding',
+    [DRIPPING]: 'dripping',
+    [INACTIVE]: 'inactive',
+    [BOUNCING]: 'bouncing'
+};
+
+// XY cell size for on-text coverage (world units)
+const COVERAGE_CELL = 0.1;
+
+const { values: args } = parseArgs({
+    options: {
+        font: { type: 'string', default: 'node_modules/three/examples/fonts/helvetiker_bold.typeface.json' },
+        text: { type: 'string', default: DEFAULT_TEXT_SETTINGS.text },
+        steps: { type: 'string', default: '480' },
+        resolution: { type: 'string', default: String(CONFIG.SDF_RESOLUTION) },
+        seed: { type: 'string', default: '1' },
+        'max-particles': { type: 'string', default: '200000' },
+        timeline: { type: 'string' },
+        out: { type: 'string' },
+        verbose: { type: 'boolean', default: false }
+    }
+});
+
+const totalSteps = parseInt(args.steps, 10);
+const resolution = parseInt(args.resolution, 10);
+const seed = parseInt(args.seed, 10) >>> 0;
+const maxParticles = parseInt(args['max-particles'], 10);
+
+if (!(totalSteps > 0) || !(resolution >= 8) || !(maxParticles > 0)) {
+    console.error('simulate: --steps and --max-particles must be positive, --resolution at least 8');
+    process.exit(1);
+}
+
+// Wave hits: SPLASH_EVENTS, or a JSON timeline as main-gpu.js loads with ?timeline=
+let timeline;
+try {
+    timeline = args.timeline
+        ? SplashTimeline.fromJSON(JSON.parse(readFileSync(args.timeline, 'utf8')))
+        : new SplashTimeline();
+} catch (err) {
+    console.error(`simulate: could not read timeline ${args.timeline}: ${err.message}`);
+    process.exit(1);
+}
+
+// The library logs progress for the browser console; keep stdout to the report
+const log = console.log;
+if (!args.verbose) console.log = () => {};
+
+// ─── Text ────────────────────────────────────────────────────────────────────
+
+const font = new Font(JSON.parse(readFileSync(args.font, 'utf8')));
+const geometry = createTextWithLetterSpacing(font, args.text, DEFAULT_TEXT_SETTINGS);
+if (!geometry) {
+    console.error(`simulate: could not build geometry for "${args.text}"`);
+    process.exit(1);
+}
+geometry.center();
+geometry.computeBoundingBox();
+const textBBox = geometry.boundingBox;
+
+// ─── SDF ─────────────────────────────────────────────────────────────────────
+
+// Same padding and layout as generateSDFAsync() in the browser
+const bbox = textBBox.clone().expandByScalar(0.8);
+const triangles = extractTriangles(geometry);
+
+const sdfStart = performance.now();
+const grid = generateSDFBVH(triangles, bbox, resolution);
+const sdfMs = performance.now() - sdfStart;
+
+const sdf = {
+    data: grid.data,
+    bbox,
+    size: grid.size,
+    resolution,
+    stepX: grid.stepX,
+    stepY: grid.stepY,
+    stepZ: grid.stepZ,
+    triangleCount: triangles.length
+};
+
+if (!validateSDF(sdf, triangles.length)) {
+    console.error('simulate: generated SDF failed validation');
+    process.exit(1);
+}
+
+// ─── Simulation ──────────────────────────────────────────────────────────────
+
+const particles = new ParticleSystem(maxParticles);
+particles.setSDF(sdf);
+particles.setSeed(seed);
+const spawnRandom = createRandom(seed ^ 0xA5A5A5A5);
+
+// Whole seeded frames, as main-gpu.js steps them with ?seed=
+const h = CONFIG.FIXED_TIMESTEP;
+const stepsPerFrame = Math.max(1, Math.round((1 / 60) / h));
+
+const simStart = performance.now();
+let stepsDone = 0;
+while (stepsDone < totalSteps) {
+    const steps = Math.min(stepsPerFrame, totalSteps - stepsDone);
+    const t = stepsDone * h;
+    const videoTime = timeline.start + t;
+
+    for (const event of timeline.activeEvents(videoTime)) {
+        const progress = SplashTimeline.progress(event, videoTime);
+        spawnWave(particles, textBBox, 15 - progress * 15, steps * h, spawnRandom, null, 1, event);
+    }
+
+    particles.update(h, t + h, steps);
+    stepsDone += steps;
+}
+const simMs = performance.now() - simStart;
+
+// ─── Statistics ──────────────────────────────────────────────────────────────
+
+function emptyBox() {
+    return { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
+}
+
+function growBox(box, x, y, z) {
+    if (x < box.min[0]) box.min[0] = x;
+    if (y < box.min[1]) box.min[1] = y;
+    if (z < box.min[2]) box.min[2] = z;
+    if (x > box.max[0]) box.max[0] = x;
+    if (y > box.max[1]) box.max[1] = y;
+    if (z > box.max[2]) box.max[2] = z;
+}
+
+function coverageKey(x, y) {
+    return `${Math.floor(x / COVERAGE_CELL)},${Math.floor(y / COVERAGE_CELL)}`;
+}
+
+const counts = {};
+const bounds = {};
+for (const name of Object.values(STATE_NAMES)) counts[name] = 0;
+
+const wetCells = new Set();
+for (let i = 0; i < particles.count; i++) {
+    const s = particles.state[i];
+    const name = STATE_NAMES[s];
+    counts[name]++;
+    if (s === INACTIVE) continue;
+
+    const x = particles.posX[i], y = particles.posY[i], z = particles.posZ[i];
+    growBox(bounds[name] || (bounds[name] = emptyBox()), x, y, z);
+    if (s === STUCK || s === SLIDING) wetCells.add(coverageKey(x, y));
+}
+// Slots never used count as inactive too
+counts.inactive += particles.max - particles.count;
+
+// Coverage: share of the text's front-face XY cells holding a stuck/sliding drop
+const surfaceCells = new Set();
+const samples = particles.surfaceSamples;
+for (let s = 0; s < samples.length; s += 3) {
+    surfaceCells.add(coverageKey(samples[s], samples[s + 1]));
+}
+let coveredCells = 0;
+for (const key of surfaceCells) {
+    if (wetCells.has(key)) coveredCells++;
+}
+
+let minDist = Infinity, maxDist = -Infinity, insideVoxels = 0;
+for (let i = 0; i < sdf.data.length; i++) {
+    const d = sdf.data[i];
+    if (d < minDist) minDist = d;
+    if (d > maxDist) maxDist = d;
+    if (d < 0) insideVoxels++;
+}
+
+const round = (v) => Math.round(v * 1000) / 1000;
+const roundBox = (box) => ({ min: box.min.map(round), max: box.max.map(round) });
+
+const stats = {
+    text: args.text,
+    seed,
+    steps: totalSteps,
+    simulatedSeconds: round(totalSteps * h),
+    maxParticles,
+    sdf: {
+        resolution,
+        triangles: triangles.length,
+        minDistance: round(minDist),
+        maxDistance: round(maxDist),
+        insideVoxels,
+        generationMs: Math.round(sdfMs)
+    },
+    particles: {
+        spawned: particles.spawnedTotal,
+        slotsUsed: particles.count,
+        counts,
+        onText: particles.countOnText(),
+        coverage: round(surfaceCells.size ? coveredCells / surfaceCells.size : 0),
+        bounds: Object.fromEntries(Object.entries(bounds).map(([name, box]) => [name, roundBox(box)]))
+    },
+    textBounds: roundBox({
+        min: [textBBox.min.x, textBBox.min.y, textBBox.min.z],
+        max: [textBBox.max.x, textBBox.max.y, textBBox.max.z]
+    }),
+    simulationMs: Math.round(simMs)
+};
+
+const report = JSON.stringify(stats, null, 2);
+if (args.out) writeFileSync(args.out, report + '\n');
+log(report);
@@ -0,0 +1,77 @@
+/**
+ * Audio input for the audio-reactive splash
+ * Routes an <audio> element or the microphone into an AnalyserNode and runs
+ * the OnsetDetector on its waveform once per frame.
+ */
+
+import { OnsetDetector } from './onset-detector.js';
+
+export class AudioInput {
+    constructor() {
+        this.context = null;
+        this.analyser = null;
+        this.source = null;
+        this.stream = null;
+        this.elementSources = new Map(); // createMediaElementSource works once per element
+        this.frame = null;
+        this.detector = new OnsetDetector();
+    }
+
+    // AudioContext on first use: browsers only allow it after a user gesture
+    ensureContext() {
+        if (!this.context) {
+            this.context = new AudioContext();
+            this.analyser = this.context.createAnalyser();
+            this.analyser.fftSize = 1024;
+            this.frame = new Float32Array(this.analyser.fftSize);
+        }
+        if (this.context.state === 'suspended') this.context.resume();
+    }
+
+    /**
+     * Listen to (and play) an audio element
+     * @param {HTMLAudioElement} element
+     */
+    useElement(element) {
+        this.ensureContext();
+        this.disconnect();
+
+        let source = this.elementSources.get(element);
+        if (!source) {
+            source = this.context.createMediaElementSource(element);
+            this.elementSources.set(element, source);
+        }
+        source.connect(this.analyser);
+        source.connect(this.context.destination); // Still audible
+        this.source = source;
+        this.detector.reset();
+    }
+
+    // Listen to the microphone (not played back, that would feed back)
+    async useMicrophone() {
+        this.ensureContext();
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        this.disconnect();
+        this.stream = stream;
+        this.source = this.context.createMediaStreamSource(stream);
+        this.source.connect(this.analyser);
+        this.detector.reset();
+    }
+
+    disconnect() {
+        if (this.source) this.source.disconnect();
+        if (this.stream) this.stream.getTracks().forEach(track => track.stop());
+        this.source = null;
+        this.stream = null;
+    }
+
+    /**
+     * Check the latest waveform for an onset (call once per frame)
+     * @returns {{time: number, strength: number}|null}
+     */
+    poll() {
+        if (!this.source) return null;
+        this.analyser.getFloatTimeDomainData(this.frame);
+        return this.detector.process(this.frame, this.context.currentTime);
+    }
+}
@@ -7,6 +7,7 @@
  * Each setting has examples showing what happens when you change it.
  * 
  * TIP: Start with small changes and reload to see the effect!
+ *      Physics values can also be tuned live - see LIVE PHYSICS at the bottom.
  */
 
 // ════════════════════════════════════════════════════════════════════════════════
@@ -29,7 +30,7 @@
 export const MAX_PARTICLES = 4000000;
 
 /**
- * SPAWN_RATE - How many particles spawn per frame during splash
+ * SPAWN_RATE - How many particles spawn per 1/60s during splash
  * 
  * WHAT YOU'LL SEE:
  *   5,000   → Gentle splash, like light rain
@@ -38,6 +39,7 @@ export const MAX_PARTICLES = 4000000;
  *   50,000  → Massive splash, waterfall intensity
  * 
  * NOTE: Higher values fill up MAX_PARTICLES faster
+ *       Scaled by simulated time, so the same on any display refresh rate
  */
 export const SPAWN_RATE = 45000;
 
@@ -60,26 +62,155 @@ export const SDF_RESOLUTION = 128;
 // ════════════════════════════════════════════════════════════════════════════════
 
 /**
- * VIDEO_WAVE_HIT_TIME - When splash starts (seconds into video)
+ * SPLASH_EVENTS - The wave hits in one loop of the video
  * 
- * Adjust this to match your video's wave hitting the text.
+ * Each event is { start, end } in seconds into the video, plus optionally:
+ *   spawnRate → Particles per 1/60s while it runs (default SPAWN_RATE)
+ *   direction → [x, y, z] the water travels in (default [0, 0, -1], straight
+ *               at the text; [1, 0, -1] comes in from the left)
+ *   spread    → Sideways scatter of the flying water (default SPLASH_SPREAD_XY)
+ *   target    → { x: [from, to], y: [from, to] } part of the text it hits, as
+ *               fractions of the text's width/height (default: all of it)
+ * 
+ * Events with a negative or non-numeric spawnRate/spread or a malformed target
+ * are skipped with a warning; target fractions are clamped to 0-1.
+ * 
+ * WHAT YOU'LL SEE:
+ *   Short event (0.5s): Quick splash burst
+ *   Long event (2s+): Sustained water flow
+ *   Several events: A set of waves, e.g. a small one on the left, then a big one
+ * 
+ * Adjust start/end to match your video's waves hitting the text.
  */
-export const VIDEO_WAVE_HIT_TIME = 1.3;
+export const SPLASH_EVENTS = [
+    { start: 1.3, end: 2.1 }
+];
 
 /**
- * VIDEO_WAVE_END_TIME - When splash stops (seconds into video)
+ * SPLASH_TIMELINE_SRC - JSON file with the events instead of SPLASH_EVENTS
  * 
- * WHAT YOU'LL SEE:
- *   Short duration (0.5s): Quick splash burst
- *   Long duration (2s+): Sustained water flow
+ * Either an array of events or { "loopDuration": 10, "events": [...] }.
+ * '' uses SPLASH_EVENTS; ?timeline=waves.json in the URL overrides it.
  */
-export const VIDEO_WAVE_END_TIME = 2.1;
+export const SPLASH_TIMELINE_SRC = '';
 
 /**
  * VIDEO_LOOP_DURATION - Total video length for looping
  */
 export const VIDEO_LOOP_DURATION = 10.0;
 
+/**
+ * WAVE_MODE - What drives the splash
+ * 
+ * WHAT YOU'LL SEE:
+ *   'video'      → Splash synced to the footage's clock (SPLASH_EVENTS above)
+ *   'procedural' → A 3D curling wave rolls in over each event and the
+ *                  water leaves its crest; the video only plays as backdrop
+ *   'auto'       → Procedural until the video has frames, then video (default)
+ * 
+ * Can be changed live with the "Wave" buttons in the control panel
+ */
+export const WAVE_MODE = 'auto';
+
+/**
+ * PROCEDURAL_WAVE_START_Z - Where the procedural wave's crest rises (world Z)
+ * 
+ * The crest then travels to just in front of the text during the hit window.
+ * 
+ * WHAT YOU'LL SEE:
+ *   8   → Short, steep run at the letters
+ *   15  → Wave rises mid-way to the camera (default)
+ */
+export const PROCEDURAL_WAVE_START_Z = 15;
+
+/**
+ * OCEAN - Surface of the procedural wave (a sum of Gerstner waves over the curl)
+ * 
+ * OCEAN_WIND_SPEED: size of the swell riding on the wave (longest wavelength, scene units)
+ *   3  → Fine ripples    8 → Choppy sea (default)    16 → Big rolling swell
+ * 
+ * OCEAN_WIND_DIRECTION: degrees from straight up the wave face toward the lip
+ *   0 → Swell runs with the breaker    90 → Across it, along the crest
+ * 
+ * OCEAN_CHOPPINESS: how sharp the crests get (0-1)
+ *   0 → Smooth, round sine-like swell    1 → Pinched crests on the edge of folding
+ * 
+ * OCEAN_FOAM_THRESHOLD: foam where the surface compresses below this Jacobian
+ *   0.3 → Foam only on the sharpest folds    0.8 → Lots of white water
+ * 
+ * Wind and choppiness can be changed live in the "Ocean" section of the panel
+ */
+export const OCEAN_WIND_SPEED = 8;
+export const OCEAN_WIND_DIRECTION = 0;
+export const OCEAN_CHOPPINESS = 0.7;
+export const OCEAN_FOAM_THRESHOLD = 0.5;
+
+/**
+ * VIDEO_IN_SCENE - Draw the background video inside the 3D scene
+ * 
+ * WHAT YOU'LL SEE:
+ *   false → Video is a page element behind the transparent canvas (default)
+ *   true  → Video is a plane behind the text: glass letters refract it, and
+ *           anything captured from the canvas includes the background
+ * 
+ * Drops refract and reflect the video either way (see DROPLET_ENV_MAP).
+ * Can be toggled live with "Video In Scene" in the control panel
+ */
+export const VIDEO_IN_SCENE = false;
+
+
+// ════════════════════════════════════════════════════════════════════════════════
+// AUDIO-REACTIVE SPLASH - Bursts on the beat instead of the video window
+// ════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * SPLASH_TRIGGER - What fires the splash
+ * 
+ * WHAT YOU'LL SEE:
+ *   'timeline'   → The SPLASH_EVENTS of every loop (default)
+ *   'audio'      → A burst on every onset of the page's audio track (AUDIO_SRC)
+ *   'microphone' → A burst on every onset picked up by the microphone
+ * 
+ * Can be changed live with the "Splash Trigger" buttons in the control panel
+ */
+export const SPLASH_TRIGGER = 'timeline';
+
+/**
+ * AUDIO_SRC - Track played for SPLASH_TRIGGER 'audio' (or pick a file in the panel)
+ */
+export const AUDIO_SRC = './audio.mp3';
+
+/**
+ * AUDIO_SENSITIVITY - How far above the recent average an energy jump must be
+ * 
+ * WHAT YOU'LL SEE:
+ *   1.0 → Splashes on most notes
+ *   2.0 → Splashes on clear beats only (default)
+ *   4.0 → Only the hardest hits
+ */
+export const AUDIO_SENSITIVITY = 2.0;
+
+/**
+ * AUDIO_MIN_INTERVAL - Shortest time between two bursts (seconds)
+ */
+export const AUDIO_MIN_INTERVAL = 0.15;
+
+/**
+ * AUDIO_BURST_DURATION - How long one onset keeps spawning (seconds)
+ * 
+ * WHAT YOU'LL SEE:
+ *   0.1 → Short, punchy spurts
+ *   0.3 → A proper splash per beat (default)
+ */
+export const AUDIO_BURST_DURATION = 0.3;
+
+/**
+ * AUDIO_INTENSITY_MIN / AUDIO_INTENSITY_MAX - Burst size for the quietest and
+ * loudest onsets, as a multiple of SPAWN_RATE (launch speed and spread follow)
+ */
+export const AUDIO_INTENSITY_MIN = 0.2;
+export const AUDIO_INTENSITY_MAX = 1.5;
+
 
 // ════════════════════════════════════════════════════════════════════════════════
 // SPLASH PHYSICS - Initial Water Impact
@@ -412,6 +543,252 @@ export const DEPTH_FADE_DISTANCE = 20;
  */
 export const SIZE_ATTENUATION = true;
 
+/**
+ * STREAK_TIME - How far ahead (in seconds of motion) moving drops are smeared
+ * 
+ * FALLING, BOUNCING and DRIPPING drops are stretched along their on-screen
+ * velocity, so fast water reads as streaks instead of round dots.
+ * 
+ * WHAT YOU'LL SEE:
+ *   0     → Round drops, no motion streaks
+ *   0.03  → Short streaks on fast drops (default)
+ *   0.08  → Long rain-like streaks
+ */
+export const STREAK_TIME = 0.03;
+
+/**
+ * STREAK_MAX_STRETCH - Longest a streak can get, as a multiple of drop size
+ * 
+ * WHAT YOU'LL SEE:
+ *   1  → Never stretched
+ *   4  → Streaks up to four drops long (default)
+ *   8  → Very long streaks on the fastest drops
+ */
+export const STREAK_MAX_STRETCH = 4;
+
+/**
+ * DROPLET_ENV_MAP - Use the background video as the drops' environment
+ * 
+ * Highlights always come from the scene's key/fill/rim lights; this adds
+ * what a real drop shows between them.
+ * 
+ * WHAT YOU'LL SEE:
+ *   true  → Each drop refracts the footage behind it and reflects it at the rim
+ *   false → Drops are tinted WATER_COLOR (cheaper, more stylized)
+ */
+export const DROPLET_ENV_MAP = true;
+
+/**
+ * DROPLET_REFRACTION - How strongly a drop bends the video behind it (screen UV)
+ * 
+ * WHAT YOU'LL SEE:
+ *   0     → Drops are see-through windows, no lensing
+ *   0.02  → Subtle lens distortion (default)
+ *   0.06  → Strong fisheye-like drops
+ */
+export const DROPLET_REFRACTION = 0.02;
+
+/**
+ * TEXT_FADE_DURATION - Seconds to fade between old and new text on "Apply"
+ * 
+ * The old text keeps splashing while the new one is built in the background,
+ * then its water fades out, the new text swaps in and fades back up.
+ * 
+ * WHAT YOU'LL SEE:
+ *   0    → Instant swap
+ *   0.6  → Quick dip through transparent (default)
+ *   2.0  → Slow, dreamy transition
+ */
+export const TEXT_FADE_DURATION = 0.6;
+
+/**
+ * SHOW_TEXT - Draw the letters themselves, not just the water on them
+ * 
+ * WHAT YOU'LL SEE:
+ *   false → Only the water outlines the text (letters invisible)
+ *   true  → Solid letters under the water, lit by the key/fill/rim lights
+ * 
+ * Can be toggled live with "Show Letters" in the control panel
+ */
+export const SHOW_TEXT = false;
+
+/**
+ * TEXT_MATERIAL - Look of the letters when SHOW_TEXT is on
+ * 
+ * WHAT YOU'LL SEE:
+ *   'glass'    → Clear, refractive letters (water reads as drops on glass)
+ *   'chrome'   → Mirror-like metal reflecting the room lighting
+ *   'matte'    → Soft painted surface, the water's highlights stand out most
+ *   'emissive' → Glowing neon letters
+ */
+export const TEXT_MATERIAL = 'glass';
+
+/**
+ * WETNESS - Darker, glossier letters where water has been (SHOW_TEXT only)
+ * 
+ * WETNESS_RESOLUTION: cells per axis of the wetness grid over the text
+ *   32 → Soft blotches    64 → Sharper streaks (more memory and upload)
+ * 
+ * WETNESS_RATE: how fast a drop soaks its cell (full wetness = 1)
+ *   0.5 → Only lingering water leaves a mark    4 → Any touch shows
+ * 
+ * WETNESS_DECAY_TIME: seconds for a wet patch to dry to ~37%
+ *   5 → Dries between splashes    30 → Streaks build up over several loops
+ * 
+ * WETNESS_DARKEN: how much fully wet letters darken (0-1)
+ */
+export const WETNESS_RESOLUTION = 48;
+export const WETNESS_RATE = 2.0;
+export const WETNESS_DECAY_TIME = 12;
+export const WETNESS_DARKEN = 0.45;
+
+/**
+ * PARTICLE_RENDER_MODE - How the water is drawn
+ * 
+ * WHAT YOU'LL SEE:
+ *   'sprites' → Every drop a shiny bead (fast, works everywhere)
+ *   'fluid'   → Drops merge into a smooth sheet of water that refracts the
+ *               video (screen-space fluid, needs WebGL2 float targets)
+ * 
+ * Can be switched live in the control panel. The WebGPU backend always
+ * draws sprites.
+ */
+export const PARTICLE_RENDER_MODE = 'sprites';
+
+/**
+ * FLUID - Screen-space fluid settings (PARTICLE_RENDER_MODE = 'fluid')
+ * 
+ * FLUID_PARTICLE_SCALE: world radius per unit of drop size
+ *   0.3 → Drops barely touch (beady)    0.8 → Thick, blobby sheet
+ * 
+ * FLUID_RESOLUTION_SCALE: offscreen resolution vs the canvas
+ *   0.5 → Fast, slightly soft edges    1.0 → Sharp, 4x the fill cost
+ * 
+ * FLUID_SMOOTHING_ITERATIONS: bilateral blur passes over the depth
+ *   1 → Individual drops still visible    3 → Glassy smooth surface
+ * 
+ * FLUID_REFRACTION: how far the video bends behind the water (screen UV)
+ * FLUID_ABSORPTION: how fast thick water takes on WATER_COLOR
+ */
+export const FLUID_PARTICLE_SCALE = 0.6;
+export const FLUID_RESOLUTION_SCALE = 0.5;
+export const FLUID_SMOOTHING_ITERATIONS = 2;
+export const FLUID_REFRACTION = 0.03;
+export const FLUID_ABSORPTION = 1.5;
+
+
+// ════════════════════════════════════════════════════════════════════════════════
+// REPRODUCIBLE RUNS - Same splash every time
+// ════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * SIMULATION_SEED - Seed for spawning and physics randomness (null = random)
+ * 
+ * WHAT YOU'LL SEE:
+ *   null → Every run and every loop splashes differently
+ *   1234 → Every loop replays exactly the same splash on this backend
+ * 
+ * Can also be set from the URL: ?seed=1234
+ * NOTE: Seeded runs take the same number of physics steps every frame and
+ *       follow the simulation clock instead of the video, so they may drift
+ *       from the footage
+ */
+export const SIMULATION_SEED = null;
+
+
+// ════════════════════════════════════════════════════════════════════════════════
+// TIMESTEP - How physics time advances
+// ════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * FIXED_TIMESTEP - Seconds per physics step (all backends)
+ * 
+ * Frame time is banked and spent in steps of exactly this size, so the splash
+ * plays the same at 30Hz and 144Hz. Drops are drawn between the last two steps.
+ * 
+ * WHAT YOU'LL SEE:
+ *   1/60  → Cheapest, fast spray can pass through thin letters
+ *   1/120 → Fast drops land on thin strokes (default)
+ *   1/240 → Most accurate collisions, costs twice the physics of 1/120
+ */
+export const FIXED_TIMESTEP = 1 / 120;
+
+/**
+ * MAX_SUBSTEPS - Most physics steps taken in one frame
+ * 
+ * WHAT YOU'LL SEE:
+ *   4  → Slow frames make the splash run in slow motion sooner
+ *   8  → Keeps real-time speed down to 15fps at 1/120 steps
+ * 
+ * NOTE: Time beyond this is dropped so a slow frame can't snowball
+ */
+export const MAX_SUBSTEPS = 8;
+
+
+// ════════════════════════════════════════════════════════════════════════════════
+// LIVE PHYSICS - Runtime-tunable copy of the physics settings above
+// ════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * physics - The values every particle backend reads each frame
+ * 
+ * Starts from the constants above. Change it with setPhysics() (the Physics
+ * section of the control panel does) and the running simulation picks the new
+ * values up on the next frame - no reload needed.
+ * 
+ * EXAMPLE:
+ *   setPhysics({ BOUNCE_CHANCE: 0.8, DRIP_GRAVITY: -20 });
+ */
+export const PHYSICS_DEFAULTS = Object.freeze({
+    DRIP_GRAVITY,
+    BOUNCE_CHANCE,
+    BOUNCE_RESTITUTION_MIN,
+    BOUNCE_RESTITUTION_MAX,
+    BOUNCE_SCATTER,
+    BOUNCE_SCATTER_VERTICAL,
+    BOUNCE_DRAG,
+    BOUNCE_SIZE_REDUCTION,
+    SPLASH_UPWARD_BIAS,
+    IMPACT_SPRAY_FACTOR,
+    MIST_SIZE_FACTOR,
+    STICK_DURATION_MIN,
+    STICK_DURATION_MAX,
+    STICK_JITTER_AMOUNT,
+    STICK_JITTER_SPEED,
+    SLIDE_SPEED_MIN,
+    SLIDE_SPEED_MAX,
+    SLIDE_DURATION_MIN,
+    SLIDE_DURATION_MAX,
+    DRIP_INITIAL_VELOCITY,
+    DRIP_SHRINK_RATE,
+    DRIP_REMOVE_Y,
+    DRIP_MIN_SIZE
+});
+
+export const physics = { ...PHYSICS_DEFAULTS };
+
+// Bumped on every change so backends that copy the values (workers) can resync
+let physicsRevision = 0;
+
+export function setPhysics(changes) {
+    for (const [key, value] of Object.entries(changes)) {
+        if (!(key in PHYSICS_DEFAULTS)) {
+            console.warn(`setPhysics: unknown setting ${key}`);
+            continue;
+        }
+        if (!Number.isFinite(value)) {
+            console.warn(`setPhysics: ${key} must be a finite number, got`, value);
+            continue;
+        }
+        physics[key] = value;
+    }
+    physicsRevision++;
+}
+
+export function getPhysicsRevision() {
+    return physicsRevision;
+}
+
 
 // ════════════════════════════════════════════════════════════════════════════════
 // QUALITY PRESETS - Quick settings for different hardware
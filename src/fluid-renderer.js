@@ -0,0 +1,421 @@
+/**
+ * Screen-Space Fluid Renderer
+ * Draws the particles as one continuous water surface instead of separate beads:
+ *   1. Depth splat   - each drop as a sphere into an eye-depth target
+ *   2. Thickness     - additive sphere chords, how much water is behind each pixel
+ *   3. Smoothing     - separable bilateral blur of the depth (keeps silhouettes)
+ *   4. Composite     - normals from the smoothed depth, refraction of the video,
+ *                      Fresnel reflection and absorption, blended over the scene
+ *
+ * Uses the same position/state attributes as the point-sprite material in
+ * main-gpu.js (Three.js backends only - the WebGPU overlay stays on sprites).
+ * Needs WebGL2 with float render targets; check FluidRenderer.isSupported().
+ */
+
+import * as THREE from 'three';
+import * as CONFIG from './config.js';
+
+// Shared by the depth and thickness passes: one sphere per live particle
+const SPLAT_VERTEX = `
+    attribute vec4 state; // state, stickTime, size, slideSpeed
+
+    uniform float pointScale;   // Pixels per world unit at distance 1
+    uniform float radiusScale;  // World radius per unit of drop size
+
+    varying vec3 vViewCenter;
+    varying float vRadius;
+
+    void main() {
+        float s = state.x;
+        float size = state.z;
+
+        // Skip INACTIVE (4) and tiny drops, like the sprite material
+        if ((s > 3.5 && s < 4.5) || size < 0.02) {
+            gl_Position = vec4(0.0, 0.0, -1000.0, 1.0);
+            gl_PointSize = 0.0;
+            return;
+        }
+
+        vec4 mvPos = modelViewMatrix * vec4(position, 1.0);
+
+        // FALLING (0) spray is thinner than water on the letters
+        vRadius = size * radiusScale * (s < 0.5 ? 0.5 : 1.0);
+        vViewCenter = mvPos.xyz;
+
+        gl_Position = projectionMatrix * mvPos;
+        gl_PointSize = clamp(2.0 * vRadius * pointScale / -mvPos.z, 1.0, 128.0);
+    }
+`;
+
+const DEPTH_FRAGMENT = `
+    uniform mat4 projectionMatrix;
+
+    varying vec3 vViewCenter;
+    varying float vRadius;
+
+    void main() {
+        vec2 c = gl_PointCoord * 2.0 - 1.0;
+        c.y = -c.y;
+        float r2 = dot(c, c);
+        if (r2 > 1.0) discard;
+
+        // Front of the sphere, so overlapping drops merge at the right depth
+        vec3 p = vViewCenter + vec3(c, sqrt(1.0 - r2)) * vRadius;
+        vec4 clip = projectionMatrix * vec4(p, 1.0);
+        gl_FragDepth = clip.z / clip.w * 0.5 + 0.5;
+
+        gl_FragColor = vec4(-p.z, 0.0, 0.0, 1.0); // Eye depth, 0 = no water
+    }
+`;
+
+const THICKNESS_FRAGMENT = `
+    varying float vRadius;
+
+    void main() {
+        vec2 c = gl_PointCoord * 2.0 - 1.0;
+        float r2 = dot(c, c);
+        if (r2 > 1.0) discard;
+
+        // Chord length through the sphere
+        gl_FragColor = vec4(2.0 * vRadius * sqrt(1.0 - r2), 0.0, 0.0, 1.0);
+    }
+`;
+
+const QUAD_VERTEX = `
+    varying vec2 vUv;
+
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+// One direction of the bilateral filter; run horizontal then vertical
+const BLUR_FRAGMENT = `
+    uniform sampler2D depthTex;
+    uniform vec2 direction;     // Texel step, (1/w, 0) or (0, 1/h)
+    uniform float blurScale;    // Spatial falloff per tap
+    uniform float depthFalloff; // Depth difference that stops the blur (edges)
+
+    varying vec2 vUv;
+
+    const int RADIUS = 8;
+
+    void main() {
+        float depth = texture2D(depthTex, vUv).r;
+        if (depth <= 0.0) {
+            gl_FragColor = vec4(0.0);
+            return;
+        }
+
+        float sum = 0.0;
+        float weightSum = 0.0;
+        for (int i = -RADIUS; i <= RADIUS; i++) {
+            float sampleDepth = texture2D(depthTex, vUv + direction * float(i)).r;
+            if (sampleDepth <= 0.0) continue;
+
+            float r = float(i) * blurScale;
+            float d = (sampleDepth - depth) * depthFalloff;
+            float w = exp(-r * r) * exp(-d * d);
+            sum += sampleDepth * w;
+            weightSum += w;
+        }
+
+        gl_FragColor = vec4(sum / weightSum, 0.0, 0.0, 1.0);
+    }
+`;
+
+const COMPOSITE_FRAGMENT = `
+    uniform sampler2D depthTex;
+    uniform sampler2D thicknessTex;
+    uniform sampler2D videoTex;
+    uniform float hasVideo;
+    uniform vec2 videoScale;    // Screen UV -> video UV for object-fit: cover
+    uniform vec2 texel;
+    uniform mat4 projectionMatrixInverse;
+    uniform vec3 waterColor;
+    uniform float opacity;
+    uniform float fresnelStrength;
+    uniform float specularIntensity;
+    uniform float refraction;
+    uniform float absorption;
+
+    varying vec2 vUv;
+
+    // View-space position from screen UV and eye depth
+    vec3 viewPos(vec2 uv, float depth) {
+        vec4 p = projectionMatrixInverse * vec4(uv * 2.0 - 1.0, -1.0, 1.0);
+        p.xyz /= p.w;
+        return p.xyz * (depth / -p.z);
+    }
+
+    // Smaller of the forward/backward differences, so edges don't smear normals
+    vec3 edgeAwareDelta(vec3 p, vec2 uv, vec2 offset) {
+        float d1 = texture2D(depthTex, uv + offset).r;
+        float d2 = texture2D(depthTex, uv - offset).r;
+        vec3 forward = d1 > 0.0 ? viewPos(uv + offset, d1) - p : vec3(0.0);
+        vec3 backward = d2 > 0.0 ? p - viewPos(uv - offset, d2) : vec3(0.0);
+        if (d1 <= 0.0) return backward;
+        if (d2 <= 0.0) return forward;
+        return abs(forward.z) < abs(backward.z) ? forward : backward;
+    }
+
+    vec3 sampleVideo(vec2 uv) {
+        vec2 videoUv = (uv - 0.5) * videoScale + 0.5;
+        return texture2D(videoTex, clamp(videoUv, 0.0, 1.0)).rgb;
+    }
+
+    void main() {
+        float depth = texture2D(depthTex, vUv).r;
+        if (depth <= 0.0) discard;
+        float thickness = texture2D(thicknessTex, vUv).r;
+
+        vec3 p = viewPos(vUv, depth);
+        vec3 dx = edgeAwareDelta(p, vUv, vec2(texel.x, 0.0));
+        vec3 dy = edgeAwareDelta(p, vUv, vec2(0.0, texel.y));
+        vec3 n = normalize(cross(dx, dy));
+        if (length(dx) == 0.0 || length(dy) == 0.0) n = vec3(0.0, 0.0, 1.0);
+        vec3 v = normalize(-p);
+
+        // Schlick Fresnel (water F0 ~ 0.02)
+        float ndv = max(dot(n, v), 0.0);
+        float fresnel = 0.02 + 0.98 * pow(1.0 - ndv, 5.0);
+
+        // Refract the footage behind the water, tinted by how much water it crosses
+        vec3 transmit = exp(-(1.0 - waterColor) * thickness * absorption);
+        vec3 behind = hasVideo > 0.5
+            ? sampleVideo(vUv + n.xy * refraction * min(thickness, 1.0))
+            : waterColor * 0.3;
+        vec3 refracted = behind * transmit;
+
+        // Sky-ish reflection plus the key light highlight (view space, from above right)
+        vec3 reflected = vec3(0.75, 0.85, 1.0);
+        vec3 lightDir = normalize(vec3(0.5, 1.0, 0.5));
+        float spec = pow(max(dot(n, normalize(v + lightDir)), 0.0), 120.0);
+
+        vec3 color = mix(refracted, reflected, fresnel * fresnelStrength);
+        color += vec3(1.0) * spec * specularIntensity * 1.5;
+
+        // Thin water fades out, the video under the canvas shows through
+        float alpha = clamp(1.0 - exp(-thickness * 3.0) + fresnel * 0.5, 0.0, 1.0);
+        gl_FragColor = vec4(color, alpha * opacity);
+    }
+`;
+
+export class FluidRenderer {
+    // Float color targets and gl_FragDepth need WebGL2 + EXT_color_buffer_float
+    static isSupported(renderer) {
+        return renderer.capabilities.isWebGL2 && renderer.extensions.has('EXT_color_buffer_float');
+    }
+
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {VideoBackdrop} [backdrop] - Background footage to refract (owned by the caller)
+     */
+    constructor(renderer, backdrop = null) {
+        this.renderer = renderer;
+        this.backdrop = backdrop;
+        this.width = 0;
+        this.height = 0;
+
+        const splatUniforms = () => ({
+            pointScale: { value: 1 },
+            radiusScale: { value: CONFIG.FLUID_PARTICLE_SCALE }
+        });
+
+        this.depthMaterial = new THREE.ShaderMaterial({
+            uniforms: splatUniforms(),
+            vertexShader: SPLAT_VERTEX,
+            fragmentShader: DEPTH_FRAGMENT
+        });
+
+        this.thicknessMaterial = new THREE.ShaderMaterial({
+            uniforms: splatUniforms(),
+            vertexShader: SPLAT_VERTEX,
+            fragmentShader: THICKNESS_FRAGMENT,
+            blending: THREE.AdditiveBlending,
+            depthTest: false,
+            depthWrite: false,
+            transparent: true
+        });
+
+        this.blurMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                depthTex: { value: null },
+                direction: { value: new THREE.Vector2() },
+                blurScale: { value: 0.12 },
+                depthFalloff: { value: 8.0 }
+            },
+            vertexShader: QUAD_VERTEX,
+            fragmentShader: BLUR_FRAGMENT,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        this.compositeMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                depthTex: { value: null },
+                thicknessTex: { value: null },
+                videoTex: { value: backdrop ? backdrop.texture : null },
+                hasVideo: { value: 0 },
+                videoScale: { value: new THREE.Vector2(1, 1) },
+                texel: { value: new THREE.Vector2() },
+                projectionMatrixInverse: { value: new THREE.Matrix4() },
+                waterColor: { value: new THREE.Vector3(...CONFIG.WATER_COLOR) },
+                opacity: { value: CONFIG.WATER_OPACITY },
+                fresnelStrength: { value: CONFIG.FRESNEL_STRENGTH },
+                specularIntensity: { value: CONFIG.SPECULAR_INTENSITY },
+                refraction: { value: CONFIG.FLUID_REFRACTION },
+                absorption: { value: CONFIG.FLUID_ABSORPTION }
+            },
+            vertexShader: QUAD_VERTEX,
+            fragmentShader: COMPOSITE_FRAGMENT,
+            transparent: true,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        // Splats draw the particle geometry handed to render(), in their own scene
+        this.points = new THREE.Points(new THREE.BufferGeometry(), this.depthMaterial);
+        this.points.frustumCulled = false;
+        this.pointsScene = new THREE.Scene();
+        this.pointsScene.add(this.points);
+
+        // Fullscreen triangle pair for the blur and composite passes
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.blurMaterial);
+        this.quad.frustumCulled = false;
+        this.quadScene = new THREE.Scene();
+        this.quadScene.add(this.quad);
+        this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+        this.depthTarget = null;
+        this.blurTargets = null;
+        this.thicknessTarget = null;
+    }
+
+    // (Re)create the offscreen targets at FLUID_RESOLUTION_SCALE of the canvas
+    resize() {
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        const width = Math.max(1, Math.floor(size.x * CONFIG.FLUID_RESOLUTION_SCALE));
+        const height = Math.max(1, Math.floor(size.y * CONFIG.FLUID_RESOLUTION_SCALE));
+        if (width === this.width && height === this.height) return;
+        this.width = width;
+        this.height = height;
+
+        this.disposeTargets();
+
+        // Depth targets are sampled texel by texel, so nearest filtering suffices
+        // (linear filtering of 32-bit float needs another extension)
+        const depthOptions = {
+            type: THREE.FloatType,
+            format: THREE.RGBAFormat,
+            minFilter: THREE.NearestFilter,
+            magFilter: THREE.NearestFilter
+        };
+        this.depthTarget = new THREE.WebGLRenderTarget(width, height, { ...depthOptions, depthBuffer: true });
+        this.blurTargets = [
+            new THREE.WebGLRenderTarget(width, height, { ...depthOptions, depthBuffer: false }),
+            new THREE.WebGLRenderTarget(width, height, { ...depthOptions, depthBuffer: false })
+        ];
+        // Half float blends without EXT_float_blend
+        this.thicknessTarget = new THREE.WebGLRenderTarget(width, height, {
+            type: THREE.HalfFloatType,
+            format: THREE.RGBAFormat,
+            depthBuffer: false
+        });
+    }
+
+    /**
+     * Draw the particles as fluid over whatever is already on the canvas
+     * @param {THREE.Camera} camera
+     * @param {THREE.BufferGeometry} geometry - Particle positions/states (draw range set)
+     * @param {number} opacity - Overall water opacity (fades with text swaps)
+     */
+    render(camera, geometry, opacity) {
+        const renderer = this.renderer;
+        this.resize();
+
+        // Previous renderer state, restored at the end
+        const previousTarget = renderer.getRenderTarget();
+        const previousAutoClear = renderer.autoClear;
+        const previousClearColor = renderer.getClearColor(new THREE.Color());
+        const previousClearAlpha = renderer.getClearAlpha();
+        renderer.autoClear = false;
+        renderer.setClearColor(0x000000, 0);
+
+        // Match the sprite-space size: projection scale in target pixels
+        const pointScale = this.height * camera.projectionMatrix.elements[5] * 0.5;
+        this.depthMaterial.uniforms.pointScale.value = pointScale;
+        this.thicknessMaterial.uniforms.pointScale.value = pointScale;
+        this.points.geometry = geometry;
+
+        // 1. Depth splat
+        this.points.material = this.depthMaterial;
+        renderer.setRenderTarget(this.depthTarget);
+        renderer.clear(true, true, false);
+        renderer.render(this.pointsScene, camera);
+
+        // 2. Thickness
+        this.points.material = this.thicknessMaterial;
+        renderer.setRenderTarget(this.thicknessTarget);
+        renderer.clear(true, false, false);
+        renderer.render(this.pointsScene, camera);
+
+        // 3. Bilateral smoothing, horizontal then vertical, FLUID_SMOOTHING_ITERATIONS times
+        this.quad.material = this.blurMaterial;
+        const blur = this.blurMaterial.uniforms;
+        let source = this.depthTarget;
+        for (let i = 0; i < CONFIG.FLUID_SMOOTHING_ITERATIONS; i++) {
+            blur.depthTex.value = source.texture;
+            blur.direction.value.set(1 / this.width, 0);
+            renderer.setRenderTarget(this.blurTargets[0]);
+            renderer.render(this.quadScene, this.quadCamera);
+
+            blur.depthTex.value = this.blurTargets[0].texture;
+            blur.direction.value.set(0, 1 / this.height);
+            renderer.setRenderTarget(this.blurTargets[1]);
+            renderer.render(this.quadScene, this.quadCamera);
+            source = this.blurTargets[1];
+        }
+
+        // 4. Composite over the canvas
+        const u = this.compositeMaterial.uniforms;
+        u.depthTex.value = source.texture;
+        u.thicknessTex.value = this.thicknessTarget.texture;
+        u.texel.value.set(1 / this.width, 1 / this.height);
+        u.projectionMatrixInverse.value.copy(camera.projectionMatrixInverse);
+        u.opacity.value = opacity;
+        this.updateVideo(u);
+
+        this.quad.material = this.compositeMaterial;
+        renderer.setRenderTarget(previousTarget);
+        renderer.render(this.quadScene, this.quadCamera);
+
+        renderer.autoClear = previousAutoClear;
+        renderer.setClearColor(previousClearColor, previousClearAlpha);
+    }
+
+    updateVideo(u) {
+        const playing = this.backdrop && this.backdrop.update(this.renderer.domElement);
+        u.hasVideo.value = playing ? 1 : 0;
+        if (playing) u.videoScale.value.copy(this.backdrop.scale);
+    }
+
+    disposeTargets() {
+        if (this.depthTarget) this.depthTarget.dispose();
+        if (this.thicknessTarget) this.thicknessTarget.dispose();
+        if (this.blurTargets) this.blurTargets.forEach(t => t.dispose());
+        this.depthTarget = null;
+        this.thicknessTarget = null;
+        this.blurTargets = null;
+    }
+
+    dispose() {
+        this.disposeTargets();
+        this.depthMaterial.dispose();
+        this.thicknessMaterial.dispose();
+        this.blurMaterial.dispose();
+        this.compositeMaterial.dispose();
+        this.quad.geometry.dispose();
+    }
+}
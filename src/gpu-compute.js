@@ -5,17 +5,13 @@
  */
 
 import * as CONFIG from './config.js';
-
-// Particle states (must match cpu-particles)
-const FALLING = 0;
-const STUCK = 1;
-const SLIDING = 2;
-const DRIPPING = 3;
-const INACTIVE = 4;
-const BOUNCING = 5;
+import { buildSurfaceSamples, pickSurfacePoint } from './gpu-particles.js';
+import { createRandom, randomSeed } from './random.js';
+import { FALLING, STUCK, BOUNCING, PHYSICS_WGSL, PHYSICS_RULES } from './physics-kernel.js';
 
 // WGSL Compute Shader for particle physics
 // Uses raw f32 array to avoid struct alignment issues
+// The particle state machine is PHYSICS_RULES from physics-kernel.js, shared with the CPU backends
 const PARTICLE_SHADER = /* wgsl */`
     // Particle data: 10 floats per particle (no padding issues)
     // [0-2] = pos.xyz, [3-5] = vel.xyz, [6] = state, [7] = size, [8] = stickTime, [9] = slideSpeed
@@ -23,54 +19,101 @@ const PARTICLE_SHADER = /* wgsl */`
     struct Config {
         dt: f32,
         time: f32,
-        gravity: f32,
-        particleCount: f32,  // Passed as float, cast to u32 when needed
+        DRIP_GRAVITY: f32,
+        maxParticles: f32,  // Passed as float, cast to u32 when needed
         
         // SDF bounds
-        sdfMinX: f32, sdfMinY: f32, sdfMinZ: f32, _pad0: f32,
-        sdfMaxX: f32, sdfMaxY: f32, sdfMaxZ: f32, _pad1: f32,
+        sdfMinX: f32, sdfMinY: f32, sdfMinZ: f32, seed: u32,
+        sdfMaxX: f32, sdfMaxY: f32, sdfMaxZ: f32, step: u32,
         sdfResolution: f32,
         sdfStepX: f32, sdfStepY: f32, sdfStepZ: f32,
         
-        // Physics config
-        bounceChance: f32,
-        bounceRestitutionMin: f32,
-        bounceRestitutionMax: f32,
-        bounceScatter: f32,
-        bounceDrag: f32,
-        bounceSizeReduction: f32,
-        splashUpwardBias: f32,
-        bounceScatterVertical: f32,
-        
-        impactSprayFactor: f32,
-        mistSizeFactor: f32,
-        _pad2a: f32,
-        _pad2b: f32,
-        
-        stickDurationMin: f32,
-        stickDurationMax: f32,
-        stickJitterAmount: f32,
-        stickJitterSpeed: f32,
-        
-        dripInitialVelocity: f32,
-        dripShrinkRate: f32,
-        dripRemoveY: f32,
-        dripMinSize: f32,
+        // Physics config, named as in CONFIG.physics for the shared rules (cfg.NAME)
+        BOUNCE_CHANCE: f32,
+        BOUNCE_RESTITUTION_MIN: f32,
+        BOUNCE_RESTITUTION_MAX: f32,
+        BOUNCE_SCATTER: f32,
+        BOUNCE_DRAG: f32,
+        BOUNCE_SIZE_REDUCTION: f32,
+        SPLASH_UPWARD_BIAS: f32,
+        BOUNCE_SCATTER_VERTICAL: f32,
+        
+        IMPACT_SPRAY_FACTOR: f32,
+        MIST_SIZE_FACTOR: f32,
+        spawnCount: f32,  // Queued spawns in spawnData this frame
+        wetnessResolution: f32,  // Cells per axis of the wetness grid (SDF bounds)
+        
+        STICK_DURATION_MIN: f32,
+        STICK_DURATION_MAX: f32,
+        STICK_JITTER_AMOUNT: f32,
+        STICK_JITTER_SPEED: f32,
+        
+        DRIP_INITIAL_VELOCITY: f32,
+        DRIP_SHRINK_RATE: f32,
+        DRIP_REMOVE_Y: f32,
+        DRIP_MIN_SIZE: f32,
+        
+        SLIDE_SPEED_MIN: f32,
+        SLIDE_SPEED_MAX: f32,
+        SLIDE_DURATION_MIN: f32,
+        SLIDE_DURATION_MAX: f32,
+    }
+    
+    // Slot bookkeeping and per-frame stats, all kept on the GPU
+    // freeList[0..freeCount) holds dead slots below highWater
+    struct Counters {
+        freeCount: atomic<u32>,
+        popCount: atomic<u32>,
+        highWater: atomic<u32>,
+        activeCount: atomic<u32>,
+        onTextCount: atomic<u32>,
+        _pad0: u32,
+        _pad1: u32,
+        _pad2: u32,
     }
     
     @group(0) @binding(0) var<storage, read_write> particles: array<f32>;
     @group(0) @binding(1) var<uniform> config: Config;
     @group(0) @binding(2) var<storage, read> sdfData: array<f32>;
+    @group(0) @binding(3) var<storage, read_write> counters: Counters;
+    @group(0) @binding(4) var<storage, read_write> freeList: array<u32>;
+    @group(0) @binding(5) var<storage, read> spawnData: array<f32>;
+    // [0-2] = physics dispatch size, [3-6] = particle draw (vertexCount, instanceCount, firstVertex, firstInstance)
+    @group(0) @binding(6) var<storage, read_write> indirectArgs: array<u32, 8>;
+    // Position before the latest step (3 floats per particle), for render interpolation
+    @group(0) @binding(7) var<storage, read_write> prevPositions: array<f32>;
+    // Drop-steps per wetness cell since the last readback (see WetnessField)
+    @group(0) @binding(8) var<storage, read_write> wetness: array<atomic<u32>>;
     
     const FLOATS_PER_PARTICLE: u32 = 10u;
     
-    // Random function based on particle index and time
-    fn rand(seed: u32) -> f32 {
+    // Particle states and physics rule constants (generated from physics-kernel.js)
+    ${PHYSICS_WGSL}
+    
+    var<workgroup> wgActive: atomic<u32>;
+    var<workgroup> wgOnText: atomic<u32>;
+    
+    // Integer hash (same as random.js)
+    fn hashU32(seed: u32) -> u32 {
         var s = seed;
         s = s ^ (s >> 13u);
         s = s * 0x5bd1e995u;
         s = s ^ (s >> 15u);
-        return f32(s & 0x7FFFFFFFu) / f32(0x7FFFFFFF);
+        return s;
+    }
+    
+    fn rand(seed: u32) -> f32 {
+        return f32(hashU32(seed) & 0x7FFFFFFFu) / f32(0x7FFFFFFF);
+    }
+    
+    // Seed from position rather than slot - spawn slots are handed out by atomics,
+    // so the slot a particle lands in differs from run to run
+    fn particleSeed(pos: vec3f) -> u32 {
+        var h = config.seed ^ (config.step * 0x9E3779B9u);
+        h = hashU32(h ^ bitcast<u32>(pos.x));
+        h = hashU32(h ^ bitcast<u32>(pos.y));
+        h = hashU32(h ^ bitcast<u32>(pos.z));
+        return h;
     }
     
     // Sample SDF with trilinear interpolation
@@ -117,24 +160,182 @@ const PARTICLE_SHADER = /* wgsl */`
         return c0 * (1.0 - tz) + c1 * tz;
     }
     
-    // Compute SDF gradient (surface normal)
+    // Compute SDF gradient (surface normal) analytically from the trilinear cell
+    // (same as gpu-particles.js), straight up outside the grid
     fn sdfGradient(pos: vec3f) -> vec3f {
-        let eps = 0.1;
-        let dx = sampleSDF(pos + vec3f(eps, 0.0, 0.0)) - sampleSDF(pos - vec3f(eps, 0.0, 0.0));
-        let dy = sampleSDF(pos + vec3f(0.0, eps, 0.0)) - sampleSDF(pos - vec3f(0.0, eps, 0.0));
-        let dz = sampleSDF(pos + vec3f(0.0, 0.0, eps)) - sampleSDF(pos - vec3f(0.0, 0.0, eps));
+        let fx = (pos.x - config.sdfMinX) / config.sdfStepX - 0.5;
+        let fy = (pos.y - config.sdfMinY) / config.sdfStepY - 0.5;
+        let fz = (pos.z - config.sdfMinZ) / config.sdfStepZ - 0.5;
+        
+        let x0 = i32(floor(fx));
+        let y0 = i32(floor(fy));
+        let z0 = i32(floor(fz));
+        
+        let res = i32(config.sdfResolution);
+        
+        if (x0 < 0 || x0 >= res - 1 || y0 < 0 || y0 >= res - 1 || z0 < 0 || z0 >= res - 1) {
+            return vec3f(0.0, 1.0, 0.0);
+        }
+        
+        let tx = fx - f32(x0);
+        let ty = fy - f32(y0);
+        let tz = fz - f32(z0);
+        
+        let r = res;
+        let r2 = r * r;
+        let i000 = x0 + y0 * r + z0 * r2;
+        
+        let c000 = sdfData[i000];
+        let c100 = sdfData[i000 + 1];
+        let c010 = sdfData[i000 + r];
+        let c110 = sdfData[i000 + r + 1];
+        let c001 = sdfData[i000 + r2];
+        let c101 = sdfData[i000 + r2 + 1];
+        let c011 = sdfData[i000 + r2 + r];
+        let c111 = sdfData[i000 + r2 + r + 1];
+        
+        let c00 = c000 * (1.0 - tx) + c100 * tx;
+        let c10 = c010 * (1.0 - tx) + c110 * tx;
+        let c01 = c001 * (1.0 - tx) + c101 * tx;
+        let c11 = c011 * (1.0 - tx) + c111 * tx;
+        let c0 = c00 * (1.0 - ty) + c10 * ty;
+        let c1 = c01 * (1.0 - ty) + c11 * ty;
+        
+        // Partial derivatives of the interpolation, scaled from cell to world units
+        let ex0 = (c100 - c000) * (1.0 - ty) + (c110 - c010) * ty;
+        let ex1 = (c101 - c001) * (1.0 - ty) + (c111 - c011) * ty;
+        let grad = vec3f(
+            (ex0 * (1.0 - tz) + ex1 * tz) / config.sdfStepX,
+            ((c10 - c00) * (1.0 - tz) + (c11 - c01) * tz) / config.sdfStepY,
+            (c1 - c0) / config.sdfStepZ
+        );
         
-        let len = length(vec3f(dx, dy, dz));
+        let len = length(grad);
         if (len < 0.001) {
             return vec3f(0.0, 1.0, 0.0);
         }
-        return vec3f(dx, dy, dz) / len;
+        return grad / len;
+    }
+    
+    // Fraction of the motion covered before first reaching the contact band,
+    // or -1 if the segment stays clear (sphere tracing, see gpu-particles.js)
+    fn sweepSDF(start: vec3f, motion: vec3f) -> f32 {
+        let len = length(motion);
+        var t = 0.0;
+        
+        for (var iter = 0; iter < SWEEP_MAX_STEPS; iter = iter + 1) {
+            var f = 0.0;
+            if (len > 0.0) { f = t / len; }
+            let dist = sampleSDF(start + motion * f);
+            if (dist < CONTACT_DISTANCE) { return f; }
+            if (t >= len) { return -1.0; }
+            t = min(t + clamp(dist - CONTACT_DISTANCE, SWEEP_MIN_STEP, SWEEP_MAX_STEP), len);
+        }
+        
+        if (sampleSDF(start + motion) < CONTACT_DISTANCE) { return 1.0; }
+        return -1.0;
+    }
+    
+    // Copy queued spawns into slots: newest dead slots first, then grow highWater
+    // freeCount is stable during this pass, prepare() drops the popped entries
+    @compute @workgroup_size(64)
+    fn spawn(@builtin(global_invocation_id) id: vec3u) {
+        let i = id.x;
+        if (i >= u32(config.spawnCount)) { return; }
+        
+        let freeCount = atomicLoad(&counters.freeCount);
+        let k = atomicAdd(&counters.popCount, 1u);
+        var slot: u32;
+        if (k < freeCount) {
+            slot = freeList[freeCount - 1u - k];
+        } else {
+            slot = atomicAdd(&counters.highWater, 1u);
+            if (slot >= u32(config.maxParticles)) { return; } // Full - drop it
+        }
+        
+        let src = i * FLOATS_PER_PARTICLE;
+        let dst = slot * FLOATS_PER_PARTICLE;
+        for (var f = 0u; f < FLOATS_PER_PARTICLE; f = f + 1u) {
+            particles[dst + f] = spawnData[src + f];
+        }
+        for (var c = 0u; c < 3u; c = c + 1u) {
+            prevPositions[slot * 3u + c] = spawnData[src + c];
+        }
+    }
+    
+    // Single thread between spawn and physics: settle counters and size the
+    // indirect physics dispatch and particle draw to the live range
+    @compute @workgroup_size(1)
+    fn prepare() {
+        let freeCount = atomicLoad(&counters.freeCount);
+        let popped = min(atomicLoad(&counters.popCount), freeCount);
+        atomicStore(&counters.freeCount, freeCount - popped);
+        atomicStore(&counters.popCount, 0u);
+        
+        let highWater = min(atomicLoad(&counters.highWater), u32(config.maxParticles));
+        atomicStore(&counters.highWater, highWater);
+        atomicStore(&counters.activeCount, 0u);
+        atomicStore(&counters.onTextCount, 0u);
+        
+        indirectArgs[0] = (highWater + 255u) / 256u;
+        indirectArgs[1] = 1u;
+        indirectArgs[2] = 1u;
+        indirectArgs[3] = 6u; // One quad per particle
+        indirectArgs[4] = highWater;
+        indirectArgs[5] = 0u;
+        indirectArgs[6] = 0u;
     }
     
     @compute @workgroup_size(256)
-    fn main(@builtin(global_invocation_id) id: vec3u) {
-        let particleIdx = id.x;
-        if (particleIdx >= u32(config.particleCount)) { return; }
+    fn main(@builtin(global_invocation_id) id: vec3u, @builtin(local_invocation_id) lid: vec3u) {
+        let state = stepParticle(id.x);
+        
+        // Stats are summed per workgroup first to keep global atomics rare
+        if (state != INACTIVE) { atomicAdd(&wgActive, 1u); }
+        if (state == STUCK || state == SLIDING) {
+            atomicAdd(&wgOnText, 1u);
+            addWetness(id.x);
+        }
+        workgroupBarrier();
+        
+        if (lid.x == 0u) {
+            atomicAdd(&counters.activeCount, atomicLoad(&wgActive));
+            atomicAdd(&counters.onTextCount, atomicLoad(&wgOnText));
+        }
+    }
+    
+    // Count a drop on the text toward its wetness cell
+    fn addWetness(particleIdx: u32) {
+        let base = particleIdx * FLOATS_PER_PARTICLE;
+        let pos = vec3f(particles[base + 0u], particles[base + 1u], particles[base + 2u]);
+        let boxMin = vec3f(config.sdfMinX, config.sdfMinY, config.sdfMinZ);
+        let boxMax = vec3f(config.sdfMaxX, config.sdfMaxY, config.sdfMaxZ);
+        let res = i32(config.wetnessResolution);
+        let cell = vec3i(floor((pos - boxMin) / (boxMax - boxMin) * config.wetnessResolution));
+        if (any(cell < vec3i(0)) || any(cell >= vec3i(res))) { return; }
+        atomicAdd(&wetness[u32(cell.x + cell.y * res + cell.z * res * res)], 1u);
+    }
+    
+    // Scalar entry points for the shared rules (PHYSICS_RULES in physics-kernel.js)
+    fn sdfAt(x: f32, y: f32, z: f32) -> f32 {
+        return sampleSDF(vec3f(x, y, z));
+    }
+    
+    fn sdfNormalAt(x: f32, y: f32, z: f32) -> vec3f {
+        return sdfGradient(vec3f(x, y, z));
+    }
+    
+    fn sweepAt(x: f32, y: f32, z: f32, dx: f32, dy: f32, dz: f32) -> f32 {
+        return sweepSDF(vec3f(x, y, z), vec3f(dx, dy, dz));
+    }
+    
+    fn seedAt(x: f32, y: f32, z: f32) -> u32 {
+        return particleSeed(vec3f(x, y, z));
+    }
+    
+    // Advance one particle, returns its new state
+    fn stepParticle(particleIdx: u32) -> u32 {
+        if (particleIdx >= atomicLoad(&counters.highWater)) { return INACTIVE; }
         
         // Base index into the f32 array
         let base = particleIdx * FLOATS_PER_PARTICLE;
@@ -146,155 +347,24 @@ const PARTICLE_SHADER = /* wgsl */`
         var velX = particles[base + 3u];
         var velY = particles[base + 4u];
         var velZ = particles[base + 5u];
-        var state = particles[base + 6u];
+        var state = u32(particles[base + 6u]);
         var size = particles[base + 7u];
         var stickTime = particles[base + 8u];
         let slideSpeed = particles[base + 9u];
         
-        let stateInt = u32(state);
-        
         // Skip inactive particles
-        if (stateInt == 4u) { return; }
-        
-        let dt = config.dt;
-        let gravity = config.gravity;
-        let seed = particleIdx * 1000u + u32(config.time * 1000.0);
-        
-        // ========== FALLING STATE ==========
-        if (stateInt == 0u) {
-            velY = velY + gravity * dt;
-            posX = posX + velX * dt;
-            posY = posY + velY * dt;
-            posZ = posZ + velZ * dt;
-            
-            let pos = vec3f(posX, posY, posZ);
-            let dist = sampleSDF(pos);
-            
-            if (dist < 0.2) {
-                let normal = sdfGradient(pos);
-                
-                // Only collide if:
-                // 1. Hitting FRONT face of text (normal pointing toward camera)
-                // 2. Particle Z is near the FRONT of the text (not deep in gaps between letters)
-                // The front of the text is at sdfMaxZ, particles in gaps have lower Z
-                let frontThreshold = config.sdfMaxZ - 1.5; // Allow collision in front portion of text
-                let isFrontFacing = normal.z > 0.5;
-                let isNearFront = posZ > frontThreshold;
-                
-                if (isFrontFacing && isNearFront) {
-                    let push = 0.1 - dist;
-                    posX = posX + normal.x * push;
-                    posY = posY + normal.y * push;
-                    posZ = posZ + normal.z * push;
-                    
-                    // Decide bounce or stick
-                    if (rand(seed) < config.bounceChance) {
-                        // BOUNCE - natural water spray physics
-                        let vel = vec3f(velX, velY, velZ);
-                        let impactSpeed = length(vel);
-                        let dotVN = dot(vel, normal);
-                        
-                        // Restitution varies with impact angle and speed
-                        let angleInfluence = abs(dotVN) / (impactSpeed + 0.01);
-                        let baseRestitution = config.bounceRestitutionMin + 
-                            rand(seed + 1u) * (config.bounceRestitutionMax - config.bounceRestitutionMin);
-                        let restitution = baseRestitution * (0.7 + 0.3 * (1.0 - angleInfluence));
-                        
-                        // Reflect with energy loss
-                        var reflected = (vel - 2.0 * dotVN * normal) * restitution;
-                        
-                        // Radial spray pattern - scatter perpendicular to impact direction
-                        let sprayAngle = rand(seed + 10u) * 6.283185; // 2*PI
-                        let sprayStrength = impactSpeed * config.impactSprayFactor;
-                        
-                        // Create tangent vectors for radial spray
-                        var tangentX = vec3f(1.0, 0.0, 0.0);
-                        if (abs(normal.x) > 0.9) { tangentX = vec3f(0.0, 1.0, 0.0); }
-                        let tangent1 = normalize(cross(normal, tangentX));
-                        let tangent2 = cross(normal, tangent1);
-                        
-                        // Apply radial spray
-                        let sprayDir = tangent1 * cos(sprayAngle) + tangent2 * sin(sprayAngle);
-                        reflected = reflected + sprayDir * sprayStrength * (0.5 + rand(seed + 11u) * 0.5);
-                        
-                        // Add scatter with more vertical emphasis (water sprays up)
-                        let hScatter = config.bounceScatter * (0.3 + rand(seed + 2u) * 0.7);
-                        let vScatter = config.bounceScatterVertical * (0.4 + rand(seed + 6u) * 0.6);
-                        
-                        velX = reflected.x + (rand(seed + 3u) - 0.5) * hScatter * 2.0;
-                        velY = reflected.y + rand(seed + 4u) * vScatter + config.splashUpwardBias;
-                        velZ = reflected.z + (rand(seed + 5u) - 0.5) * hScatter;
-                        
-                        state = 5.0; // BOUNCING
-                        
-                        // Size reduction with mist variation (faster = smaller drops)
-                        let speedFactor = clamp(impactSpeed / 40.0, 0.0, 1.0);
-                        let sizeReduction = config.bounceSizeReduction - speedFactor * config.mistSizeFactor;
-                        size = size * max(sizeReduction, 0.2) * (0.6 + rand(seed + 7u) * 0.6);
-                    } else {
-                        // STICK
-                        velX = 0.0; velY = 0.0; velZ = 0.0;
-                        state = 1.0; // STUCK
-                        stickTime = 0.0;
-                    }
-                }
-            }
-            
-            if (posY < config.dripRemoveY || posZ < -10.0) {
-                state = 4.0; // INACTIVE
-                size = 0.0;
-            }
-        }
+        if (state == INACTIVE) { return INACTIVE; }
         
-        // ========== BOUNCING STATE ==========
-        else if (stateInt == 5u) {
-            velY = velY + gravity * dt;
-            velX = velX * config.bounceDrag;
-            velZ = velZ * config.bounceDrag;
-            
-            posX = posX + velX * dt;
-            posY = posY + velY * dt;
-            posZ = posZ + velZ * dt;
-            size = size * (1.0 - dt * config.dripShrinkRate);
-            
-            if (posY < config.dripRemoveY || size < config.dripMinSize) {
-                state = 4.0;
-                size = 0.0;
-            }
-        }
+        prevPositions[particleIdx * 3u + 0u] = posX;
+        prevPositions[particleIdx * 3u + 1u] = posY;
+        prevPositions[particleIdx * 3u + 2u] = posZ;
         
-        // ========== STUCK STATE ==========
-        else if (stateInt == 1u) {
-            stickTime = stickTime + dt;
-            
-            // Subtle jitter
-            posX = posX + sin(config.time * config.stickJitterSpeed + posY * 3.0) * config.stickJitterAmount;
-            
-            let stickDuration = config.stickDurationMin + 
-                slideSpeed * (config.stickDurationMax - config.stickDurationMin);
-            
-            if (stickTime > stickDuration) {
-                state = 3.0; // DRIPPING
-                velY = config.dripInitialVelocity;
-            }
-        }
+        let dt = config.dt;
+        let time = config.time;
+        let cfg = config;
         
-        // ========== DRIPPING STATE ==========
-        else if (stateInt == 3u) {
-            velY = velY + gravity * dt;
-            velX = velX * 0.99;
-            velZ = velZ * 0.99;
-            
-            posX = posX + velX * dt;
-            posY = posY + velY * dt;
-            posZ = posZ + velZ * dt;
-            size = size * (1.0 - dt * config.dripShrinkRate);
-            
-            if (posY < config.dripRemoveY || size < config.dripMinSize) {
-                state = 4.0;
-                size = 0.0;
-            }
-        }
+        // The state machine, shared with the CPU backends
+        ${PHYSICS_RULES}
         
         // Write back particle data
         particles[base + 0u] = posX;
@@ -303,31 +373,68 @@ const PARTICLE_SHADER = /* wgsl */`
         particles[base + 3u] = velX;
         particles[base + 4u] = velY;
         particles[base + 5u] = velZ;
-        particles[base + 6u] = state;
+        particles[base + 6u] = f32(state);
         particles[base + 7u] = size;
         particles[base + 8u] = stickTime;
         // slideSpeed is read-only, no need to write back
+        
+        // Died this frame - hand the slot back for the next spawns
+        if (state == INACTIVE) {
+            let freeIdx = atomicAdd(&counters.freeCount, 1u);
+            freeList[freeIdx] = particleIdx;
+        }
+        
+        return state;
     }
 `;
 
 /**
  * WebGPU Particle System
+ * Particles never leave the GPU: spawns are queued and copied into free slots
+ * by a compute pass, and GPUParticleRenderer draws straight from particleBuffer
  */
 export class GPUComputeParticles {
     constructor(maxParticles) {
         this.maxParticles = maxParticles;
         this.device = null;
         this.pipeline = null;
+        this.spawnPipeline = null;
+        this.preparePipeline = null;
+        this.bindGroupLayout = null;
         this.particleBuffer = null;
+        this.prevPositionBuffer = null;
         this.configBuffer = null;
         this.sdfBuffer = null;
+        this.counterBuffer = null;
+        this.freeListBuffer = null;
+        this.spawnBuffer = null;
+        this.indirectBuffer = null;
         this.bindGroup = null;
         this.ready = false;
         this.sdfData = null;
-        
-        // CPU-side particle data for reading back
-        this.particleData = null;
-        this.stagingBuffer = null;
+        this.surfaceSamples = null;
+        
+        // Spawns queued on the CPU, uploaded and placed at the start of the next update()
+        this.spawnQueue = new Float32Array(0);
+        this.spawnQueueCount = 0;
+        this.spawnCapacity = 0;
+        
+        // Randomness - unseeded runs still hash physics, just from a fresh seed
+        this.seed = randomSeed();
+        this.seeded = false;
+        this.step = 0;
+        this.random = Math.random;
+        
+        // Counters read back asynchronously for stats (a few bytes, never particle data)
+        this.statsBuffer = null;
+        this.statsPending = false;
+        this.statsGeneration = 0;
+        this.stats = { active: 0, onText: 0, highWater: 0 };
+        
+        // Wetness counts, read back and cleared by accumulateWetness()
+        this.wetnessBuffer = null;
+        this.wetnessReadBuffer = null;
+        this.wetnessPending = false;
     }
     
     async init() {
@@ -355,40 +462,92 @@ export class GPUComputeParticles {
                 }
             });
             
-            // Create compute pipeline
+            // Create compute pipelines (spawn, prepare and physics share one layout)
             const shaderModule = this.device.createShaderModule({
                 code: PARTICLE_SHADER
             });
             
-            this.pipeline = this.device.createComputePipeline({
-                layout: 'auto',
+            const entry = (type) => ({ visibility: GPUShaderStage.COMPUTE, buffer: { type } });
+            this.bindGroupLayout = this.device.createBindGroupLayout({
+                entries: [
+                    { binding: 0, ...entry('storage') },
+                    { binding: 1, ...entry('uniform') },
+                    { binding: 2, ...entry('read-only-storage') },
+                    { binding: 3, ...entry('storage') },
+                    { binding: 4, ...entry('storage') },
+                    { binding: 5, ...entry('read-only-storage') },
+                    { binding: 6, ...entry('storage') },
+                    { binding: 7, ...entry('storage') },
+                    { binding: 8, ...entry('storage') }
+                ]
+            });
+            const layout = this.device.createPipelineLayout({
+                bindGroupLayouts: [this.bindGroupLayout]
+            });
+            
+            const createPipeline = (entryPoint) => this.device.createComputePipeline({
+                layout,
                 compute: {
                     module: shaderModule,
-                    entryPoint: 'main'
+                    entryPoint
                 }
             });
+            this.pipeline = createPipeline('main');
+            this.spawnPipeline = createPipeline('spawn');
+            this.preparePipeline = createPipeline('prepare');
             
             // Create particle buffer (40 bytes per particle: 3+3+1+1+1+1 floats = 10 floats)
             const particleByteSize = 10 * 4; // 10 floats * 4 bytes
             this.particleBuffer = this.device.createBuffer({
                 size: this.maxParticles * particleByteSize,
-                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
             });
             
-            // Staging buffer for reading back
-            this.stagingBuffer = this.device.createBuffer({
-                size: this.maxParticles * particleByteSize,
+            this.prevPositionBuffer = this.device.createBuffer({
+                size: this.maxParticles * 3 * 4,
+                usage: GPUBufferUsage.STORAGE
+            });
+            
+            // Dead slot indices, filled by the physics pass
+            this.freeListBuffer = this.device.createBuffer({
+                size: this.maxParticles * 4,
+                usage: GPUBufferUsage.STORAGE
+            });
+            
+            // Counters (8 x u32, see the Counters struct)
+            this.counterBuffer = this.device.createBuffer({
+                size: 32,
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+            });
+            
+            this.statsBuffer = this.device.createBuffer({
+                size: 32,
                 usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
             });
             
+            const wetnessSize = CONFIG.WETNESS_RESOLUTION ** 3 * 4;
+            this.wetnessBuffer = this.device.createBuffer({
+                size: wetnessSize,
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+            });
+            this.wetnessReadBuffer = this.device.createBuffer({
+                size: wetnessSize,
+                usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+            });
+            
+            // Indirect args for the physics dispatch and the particle draw
+            this.indirectBuffer = this.device.createBuffer({
+                size: 32,
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.INDIRECT
+            });
+            
             // Config uniform buffer
             this.configBuffer = this.device.createBuffer({
                 size: 256, // Padded for alignment
                 usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
             });
             
-            // Particle data array
-            this.particleData = new Float32Array(this.maxParticles * 10);
+            this.ensureSpawnCapacity(CONFIG.SPAWN_RATE);
             
             console.log('WebGPU Compute initialized successfully');
             this.ready = true;
@@ -404,6 +563,7 @@ export class GPUComputeParticles {
         if (!this.ready || !this.device) return;
         
         this.sdfData = sdfData;
+        this.surfaceSamples = buildSurfaceSamples(sdfData);
         
         // Create SDF buffer
         this.sdfBuffer = this.device.createBuffer({
@@ -414,83 +574,220 @@ export class GPUComputeParticles {
         // Upload SDF data
         this.device.queue.writeBuffer(this.sdfBuffer, 0, sdfData.data);
         
-        // Create bind group
+        this.createBindGroup();
+    }
+    
+    createBindGroup() {
+        if (!this.sdfBuffer) return;
+        
         this.bindGroup = this.device.createBindGroup({
-            layout: this.pipeline.getBindGroupLayout(0),
+            layout: this.bindGroupLayout,
             entries: [
                 { binding: 0, resource: { buffer: this.particleBuffer } },
                 { binding: 1, resource: { buffer: this.configBuffer } },
-                { binding: 2, resource: { buffer: this.sdfBuffer } }
+                { binding: 2, resource: { buffer: this.sdfBuffer } },
+                { binding: 3, resource: { buffer: this.counterBuffer } },
+                { binding: 4, resource: { buffer: this.freeListBuffer } },
+                { binding: 5, resource: { buffer: this.spawnBuffer } },
+                { binding: 6, resource: { buffer: this.indirectBuffer } },
+                { binding: 7, resource: { buffer: this.prevPositionBuffer } },
+                { binding: 8, resource: { buffer: this.wetnessBuffer } }
             ]
         });
     }
     
-    // Spawn particles (uploads to GPU)
-    spawn(positions, velocities, sizes, slideSpeeds, startIndex, count) {
+    // Reproducible mode: same seed + same spawns + fixed dt = same particle states
+    // (as a set - slot order can differ, so sort before comparing snapshots)
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.seeded = true;
+        this.step = 0;
+        this.random = createRandom(this.seed);
+    }
+    
+    // Grow the spawn queue and its GPU buffer to hold at least count particles
+    ensureSpawnCapacity(count) {
+        if (count <= this.spawnCapacity) return;
+        
+        let capacity = Math.max(this.spawnCapacity, 1024);
+        while (capacity < count) capacity *= 2;
+        capacity = Math.min(capacity, this.maxParticles);
+        
+        const queue = new Float32Array(capacity * 10);
+        queue.set(this.spawnQueue.subarray(0, this.spawnQueueCount * 10));
+        this.spawnQueue = queue;
+        this.spawnCapacity = capacity;
+        
+        if (this.spawnBuffer) this.spawnBuffer.destroy();
+        this.spawnBuffer = this.device.createBuffer({
+            size: capacity * 10 * 4,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        this.createBindGroup();
+    }
+    
+    // Reserve up to count entries in the spawn queue, returns how many fit
+    reserveSpawn(count) {
+        const actualCount = Math.min(count, this.maxParticles - this.spawnQueueCount);
+        if (actualCount <= 0) return 0;
+        
+        this.ensureSpawnCapacity(this.spawnQueueCount + actualCount);
+        this.spawnQueueCount += actualCount;
+        return actualCount;
+    }
+    
+    // Spawn particles (queued for the next update)
+    spawn(positions, velocities, sizes, slideSpeeds, count) {
         if (!this.ready) return;
         
-        // Clamp to not exceed max particles
-        const availableSlots = this.maxParticles - startIndex;
-        if (availableSlots <= 0) return;
-        const actualCount = Math.min(count, availableSlots);
-        
-        // Pack particle data into a temporary buffer for this batch
-        const batchData = new Float32Array(actualCount * 10);
+        const start = this.spawnQueueCount;
+        const actualCount = this.reserveSpawn(count);
+        const queue = this.spawnQueue;
         
         for (let i = 0; i < actualCount; i++) {
-            const idx = i * 10;
+            const idx = (start + i) * 10;
             const srcIdx = i;
             
             // Position
-            batchData[idx + 0] = positions[srcIdx * 3];
-            batchData[idx + 1] = positions[srcIdx * 3 + 1];
-            batchData[idx + 2] = positions[srcIdx * 3 + 2];
+            queue[idx + 0] = positions[srcIdx * 3];
+            queue[idx + 1] = positions[srcIdx * 3 + 1];
+            queue[idx + 2] = positions[srcIdx * 3 + 2];
             // Velocity
-            batchData[idx + 3] = velocities[srcIdx * 3];
-            batchData[idx + 4] = velocities[srcIdx * 3 + 1];
-            batchData[idx + 5] = velocities[srcIdx * 3 + 2];
+            queue[idx + 3] = velocities[srcIdx * 3];
+            queue[idx + 4] = velocities[srcIdx * 3 + 1];
+            queue[idx + 5] = velocities[srcIdx * 3 + 2];
             // State (FALLING = 0)
-            batchData[idx + 6] = FALLING;
+            queue[idx + 6] = FALLING;
             // Size
-            batchData[idx + 7] = sizes[srcIdx];
+            queue[idx + 7] = sizes[srcIdx];
             // StickTime
-            batchData[idx + 8] = 0;
+            queue[idx + 8] = 0;
             // SlideSpeed
-            batchData[idx + 9] = slideSpeeds[srcIdx];
+            queue[idx + 9] = slideSpeeds[srcIdx];
         }
+    }
+    
+    // Spawn particles directly on the front face in STUCK state
+    // Picks from the precomputed surface samples (same as the CPU backends), within region if given
+    spawnOnSurface(count, sizes, stickTimes, region = null) {
+        if (!this.ready || !this.surfaceSamples || this.surfaceSamples.length === 0) return 0;
         
-        // Upload to GPU at the correct offset
-        const byteOffset = startIndex * 10 * 4;
-        this.device.queue.writeBuffer(
-            this.particleBuffer, 
-            byteOffset, 
-            batchData
-        );
+        const start = this.spawnQueueCount;
+        const actualCount = this.reserveSpawn(count);
+        const queue = this.spawnQueue;
+        const point = { x: 0, y: 0, z: 0 };
+        
+        for (let i = 0; i < actualCount; i++) {
+            const idx = (start + i) * 10;
+            pickSurfacePoint(this.surfaceSamples, this.sdfData, point, this.random, region);
+            
+            queue[idx + 0] = point.x;
+            queue[idx + 1] = point.y;
+            queue[idx + 2] = point.z;
+            queue[idx + 3] = 0;
+            queue[idx + 4] = 0;
+            queue[idx + 5] = 0;
+            queue[idx + 6] = STUCK;
+            queue[idx + 7] = sizes[i % sizes.length];
+            queue[idx + 8] = stickTimes[i % stickTimes.length];
+            queue[idx + 9] = this.random(); // 0-1 stagger, like spawn()
+        }
+        
+        return actualCount;
     }
     
-    // Update particles on GPU
-    update(dt, time, particleCount) {
-        if (!this.ready || !this.bindGroup || particleCount === 0) return;
+    // Spawn spray particles in BOUNCING state (visible immediately)
+    spawnSpray(positions, velocities, sizes, count) {
+        if (!this.ready) return;
+        
+        const start = this.spawnQueueCount;
+        const actualCount = this.reserveSpawn(count);
+        const queue = this.spawnQueue;
         
-        // Update config - must match WGSL struct layout exactly (32 floats with padding)
+        for (let i = 0; i < actualCount; i++) {
+            const idx = (start + i) * 10;
+            
+            queue[idx + 0] = positions[i * 3];
+            queue[idx + 1] = positions[i * 3 + 1];
+            queue[idx + 2] = positions[i * 3 + 2];
+            queue[idx + 3] = velocities[i * 3];
+            queue[idx + 4] = velocities[i * 3 + 1];
+            queue[idx + 5] = velocities[i * 3 + 2];
+            queue[idx + 6] = BOUNCING;
+            queue[idx + 7] = sizes[i];
+            queue[idx + 8] = 0;
+            queue[idx + 9] = 0;
+        }
+    }
+    
+    // Place queued spawns, then advance every particle below highWater by
+    // `steps` fixed steps of dt (one submit each, since each has its own config)
+    update(dt, time, steps = 1) {
+        if (!this.ready || !this.bindGroup || steps <= 0) return;
+        
+        const spawnCount = this.spawnQueueCount;
+        if (spawnCount > 0) {
+            this.device.queue.writeBuffer(this.spawnBuffer, 0, this.spawnQueue, 0, spawnCount * 10);
+            this.spawnQueueCount = 0;
+        }
+        
+        const readStats = !this.statsPending;
+        
+        for (let s = 0; s < steps; s++) {
+            const stepSpawns = s === 0 ? spawnCount : 0;
+            this.writeConfig(dt, time + s * dt, stepSpawns);
+            
+            // Dispatch compute shaders (each dispatch sees the previous one's writes)
+            const commandEncoder = this.device.createCommandEncoder();
+            const passEncoder = commandEncoder.beginComputePass();
+            passEncoder.setBindGroup(0, this.bindGroup);
+            
+            if (stepSpawns > 0) {
+                passEncoder.setPipeline(this.spawnPipeline);
+                passEncoder.dispatchWorkgroups(Math.ceil(stepSpawns / 64));
+            }
+            
+            passEncoder.setPipeline(this.preparePipeline);
+            passEncoder.dispatchWorkgroups(1);
+            
+            // Physics over the live range (256 threads per workgroup), sized by prepare
+            passEncoder.setPipeline(this.pipeline);
+            passEncoder.dispatchWorkgroupsIndirect(this.indirectBuffer, 0);
+            
+            passEncoder.end();
+            
+            if (readStats && s === steps - 1) {
+                commandEncoder.copyBufferToBuffer(this.counterBuffer, 0, this.statsBuffer, 0, 32);
+            }
+            this.device.queue.submit([commandEncoder.finish()]);
+        }
+        
+        if (readStats) this.readStats();
+    }
+    
+    writeConfig(dt, time, spawnCount) {
+        // Live physics settings, re-read every frame
+        const cfg = CONFIG.physics;
+        
+        // Update config - must match WGSL struct layout exactly (40 floats with padding)
         const configData = new Float32Array([
-            // Row 1: dt, time, gravity, particleCount
+            // Row 1: dt, time, gravity, maxParticles
             dt,
             time,
-            CONFIG.DRIP_GRAVITY,
-            particleCount,  // Will be reinterpreted as u32 in shader
+            cfg.DRIP_GRAVITY,
+            this.maxParticles,  // Will be reinterpreted as u32 in shader
             
-            // Row 2: SDF min bounds + padding
+            // Row 2: SDF min bounds + seed (u32, written below)
             this.sdfData.bbox.min.x,
             this.sdfData.bbox.min.y,
             this.sdfData.bbox.min.z,
-            0, // _pad0
+            0,
             
-            // Row 3: SDF max bounds + padding
+            // Row 3: SDF max bounds + step (u32, written below)
             this.sdfData.bbox.max.x,
             this.sdfData.bbox.max.y,
             this.sdfData.bbox.max.z,
-            0, // _pad1
+            0,
             
             // Row 4: SDF resolution and steps
             this.sdfData.resolution,
@@ -499,124 +796,124 @@ export class GPUComputeParticles {
             this.sdfData.stepZ,
             
             // Row 5: Bounce config
-            CONFIG.BOUNCE_CHANCE,
-            CONFIG.BOUNCE_RESTITUTION_MIN,
-            CONFIG.BOUNCE_RESTITUTION_MAX,
-            CONFIG.BOUNCE_SCATTER,
+            cfg.BOUNCE_CHANCE,
+            cfg.BOUNCE_RESTITUTION_MIN,
+            cfg.BOUNCE_RESTITUTION_MAX,
+            cfg.BOUNCE_SCATTER,
             
             // Row 6: More bounce config
-            CONFIG.BOUNCE_DRAG,
-            CONFIG.BOUNCE_SIZE_REDUCTION,
-            CONFIG.SPLASH_UPWARD_BIAS,
-            CONFIG.BOUNCE_SCATTER_VERTICAL,
+            cfg.BOUNCE_DRAG,
+            cfg.BOUNCE_SIZE_REDUCTION,
+            cfg.SPLASH_UPWARD_BIAS,
+            cfg.BOUNCE_SCATTER_VERTICAL,
             
             // Row 7: Impact/mist config
-            CONFIG.IMPACT_SPRAY_FACTOR,
-            CONFIG.MIST_SIZE_FACTOR,
-            0, // _pad2a
-            0, // _pad2b
+            cfg.IMPACT_SPRAY_FACTOR,
+            cfg.MIST_SIZE_FACTOR,
+            spawnCount,
+            CONFIG.WETNESS_RESOLUTION,
             
             // Row 8: Stick config
-            CONFIG.STICK_DURATION_MIN,
-            CONFIG.STICK_DURATION_MAX,
-            CONFIG.STICK_JITTER_AMOUNT,
-            CONFIG.STICK_JITTER_SPEED,
+            cfg.STICK_DURATION_MIN,
+            cfg.STICK_DURATION_MAX,
+            cfg.STICK_JITTER_AMOUNT,
+            cfg.STICK_JITTER_SPEED,
             
             // Row 9: Drip config
-            CONFIG.DRIP_INITIAL_VELOCITY,
-            CONFIG.DRIP_SHRINK_RATE,
-            CONFIG.DRIP_REMOVE_Y,
-            CONFIG.DRIP_MIN_SIZE,
+            cfg.DRIP_INITIAL_VELOCITY,
+            cfg.DRIP_SHRINK_RATE,
+            cfg.DRIP_REMOVE_Y,
+            cfg.DRIP_MIN_SIZE,
+            
+            // Row 10: Slide config
+            cfg.SLIDE_SPEED_MIN,
+            cfg.SLIDE_SPEED_MAX,
+            cfg.SLIDE_DURATION_MIN,
+            cfg.SLIDE_DURATION_MAX,
         ]);
         
-        this.device.queue.writeBuffer(this.configBuffer, 0, configData);
-        
-        // Dispatch compute shader
-        const commandEncoder = this.device.createCommandEncoder();
-        const passEncoder = commandEncoder.beginComputePass();
-        
-        passEncoder.setPipeline(this.pipeline);
-        passEncoder.setBindGroup(0, this.bindGroup);
+        const configBits = new Uint32Array(configData.buffer);
+        configBits[7] = this.seed;
+        configBits[11] = this.step++;
         
-        // Dispatch workgroups (256 threads per workgroup)
-        const workgroupCount = Math.ceil(particleCount / 256);
-        passEncoder.dispatchWorkgroups(workgroupCount);
-        
-        passEncoder.end();
-        this.device.queue.submit([commandEncoder.finish()]);
+        this.device.queue.writeBuffer(this.configBuffer, 0, configData);
     }
     
-    // Read back particle data for rendering
-    async readBack(count) {
-        if (!this.ready || count === 0) return null;
-        
-        const byteSize = count * 10 * 4;
-        
-        const commandEncoder = this.device.createCommandEncoder();
-        commandEncoder.copyBufferToBuffer(
-            this.particleBuffer, 0,
-            this.stagingBuffer, 0,
-            byteSize
-        );
-        this.device.queue.submit([commandEncoder.finish()]);
-        
-        await this.stagingBuffer.mapAsync(GPUMapMode.READ, 0, byteSize);
-        const data = new Float32Array(this.stagingBuffer.getMappedRange(0, byteSize).slice(0));
-        this.stagingBuffer.unmap();
-        
-        return data;
+    // Map the counter copy without blocking the frame; stats lag a frame or two
+    readStats() {
+        this.statsPending = true;
+        const generation = this.statsGeneration;
+        
+        this.statsBuffer.mapAsync(GPUMapMode.READ).then(() => {
+            const counters = new Uint32Array(this.statsBuffer.getMappedRange());
+            // Skip results from before a reset
+            if (generation === this.statsGeneration) {
+                this.stats.highWater = counters[2];
+                this.stats.active = counters[3];
+                this.stats.onText = counters[4];
+            }
+            this.statsBuffer.unmap();
+            this.statsPending = false;
+        }).catch(() => {
+            // Buffer destroyed mid-map
+            this.statsPending = false;
+        });
     }
     
-    // Copy to Three.js buffers
-    copyToRenderBuffers(particleData, count, positionAttr, stateAttr) {
-        if (!particleData) return 0;
-        
-        const pos = positionAttr.array;
-        const st = stateAttr.array;
-        
-        let activeCount = 0;
-        
-        for (let i = 0; i < count; i++) {
-            const srcIdx = i * 10;
-            const state = particleData[srcIdx + 6];
-            
-            if (state === INACTIVE) continue;
-            activeCount = i + 1;
-            
-            // Position
-            pos[i * 3] = particleData[srcIdx + 0];
-            pos[i * 3 + 1] = particleData[srcIdx + 1];
-            pos[i * 3 + 2] = particleData[srcIdx + 2];
-            
-            // State data for shader
-            st[i * 4] = particleData[srcIdx + 6]; // state
-            st[i * 4 + 1] = particleData[srcIdx + 8]; // stickTime
-            st[i * 4 + 2] = particleData[srcIdx + 7]; // size
-            st[i * 4 + 3] = particleData[srcIdx + 9]; // slideSpeed
-        }
+    // Hand the wetness counted since the last call to field and start over;
+    // skipped while the previous readback is still mapping
+    accumulateWetness(field) {
+        if (!this.ready || this.wetnessPending) return;
+        this.wetnessPending = true;
         
-        positionAttr.needsUpdate = true;
-        stateAttr.needsUpdate = true;
+        const commandEncoder = this.device.createCommandEncoder();
+        commandEncoder.copyBufferToBuffer(this.wetnessBuffer, 0, this.wetnessReadBuffer, 0, this.wetnessBuffer.size);
+        commandEncoder.clearBuffer(this.wetnessBuffer);
+        this.device.queue.submit([commandEncoder.finish()]);
         
-        return activeCount;
+        this.wetnessReadBuffer.mapAsync(GPUMapMode.READ).then(() => {
+            // Each count is one particle for one physics step
+            field.addCounts(new Uint32Array(this.wetnessReadBuffer.getMappedRange()), CONFIG.FIXED_TIMESTEP);
+            this.wetnessReadBuffer.unmap();
+            this.wetnessPending = false;
+        }).catch(() => {
+            // Buffer destroyed mid-map
+            this.wetnessPending = false;
+        });
     }
     
     reset() {
+        this.spawnQueueCount = 0;
+        
+        // Replay the same sequence on every loop
+        this.step = 0;
+        if (this.seeded) this.random = createRandom(this.seed);
+
+        this.statsGeneration++;
+        this.stats = { active: 0, onText: 0, highWater: 0 };
         if (!this.ready) return;
-        // Clear particle buffer by writing zeros
-        const zeros = new Float32Array(this.maxParticles * 10);
-        // Set all to INACTIVE state
-        for (let i = 0; i < this.maxParticles; i++) {
-            zeros[i * 10 + 6] = INACTIVE;
-        }
-        this.device.queue.writeBuffer(this.particleBuffer, 0, zeros);
+        // Zero highWater and the free list - slots above highWater are never read,
+        // and spawns overwrite every float, so the particle buffer needs no clearing
+        this.device.queue.writeBuffer(this.counterBuffer, 0, new Uint32Array(8));
     }
     
     destroy() {
         if (this.particleBuffer) this.particleBuffer.destroy();
+        if (this.prevPositionBuffer) this.prevPositionBuffer.destroy();
         if (this.configBuffer) this.configBuffer.destroy();
         if (this.sdfBuffer) this.sdfBuffer.destroy();
-        if (this.stagingBuffer) this.stagingBuffer.destroy();
+        if (this.counterBuffer) this.counterBuffer.destroy();
+        if (this.freeListBuffer) this.freeListBuffer.destroy();
+        if (this.spawnBuffer) this.spawnBuffer.destroy();
+        if (this.indirectBuffer) this.indirectBuffer.destroy();
+        if (this.statsBuffer) this.statsBuffer.destroy();
+        if (this.wetnessBuffer) this.wetnessBuffer.destroy();
+        if (this.wetnessReadBuffer) this.wetnessReadBuffer.destroy();
+        
+        // Each instance requests its own device - release it with the buffers
+        if (this.device) this.device.destroy();
+        this.device = null;
+        this.ready = false;
     }
 }
 
@@ -0,0 +1,628 @@
+/**
+ * WebGPU Particle Renderer
+ * Draws GPUComputeParticles straight from its storage buffer on the compute
+ * device, so particle data never crosses back to JS.
+ * Renders into an overlay canvas above the Three.js canvas, matching the
+ * Points ShaderMaterial in main-gpu.js: lit by the same scene lights, with the
+ * background video copied in each frame for refraction and reflection.
+ *
+ * The overlay can't read the WebGL depth buffer, so occlusion is rebuilt here:
+ * the procedural wave is drawn into this pass's own depth buffer (from its CPU
+ * surface, the twin of its vertex shader) and drops behind the letters are
+ * hidden by sphere-tracing the SDF. Nothing else in the scene hides drops:
+ * the underline and the in-scene video plane are always drawn under them.
+ */
+
+import * as THREE from 'three';
+import * as CONFIG from './config.js';
+
+// Same look as the Three.js particle material, one camera-facing quad per particle
+const RENDER_SHADER = /* wgsl */`
+    // Particle data: 10 floats per particle (see gpu-compute.js)
+    // [0-2] = pos.xyz, [3-5] = vel.xyz, [6] = state, [7] = size, [8] = stickTime, [9] = slideSpeed
+
+    struct Uniforms {
+        viewMatrix: mat4x4f,
+        projectionMatrix: mat4x4f,
+        cameraPos: vec3f, time: f32,
+        waterColor: vec3f, waterOpacity: f32,
+        viewport: vec2f, fresnelStrength: f32, specularIntensity: f32,
+        depthFade: f32, depthFadeDistance: f32, sizeAttenuation: f32, sdfResolution: f32,
+        sdfMin: vec3f, alpha: f32, // alpha: blend from previous to latest physics step
+        sdfStep: vec3f, wetness: f32, // wetness: 1 when the letters are drawn under the water
+        streakTime: f32, streakMaxStretch: f32,
+        lightDirections: array<vec4f, 3>, // xyz: view space, toward the light
+        lightColors: array<vec4f, 3>, // rgb: color * intensity (zero for unused slots)
+        envMapScale: vec2f, hasEnvMap: f32, refraction: f32, // Background video, see sampleEnv()
+    }
+
+    @group(0) @binding(0) var<storage, read> particles: array<f32>;
+    @group(0) @binding(1) var<uniform> u: Uniforms;
+    @group(0) @binding(2) var<storage, read> sdfData: array<f32>;
+    @group(0) @binding(3) var<storage, read> prevPositions: array<f32>;
+    @group(0) @binding(4) var envSampler: sampler;
+    @group(0) @binding(5) var envMap: texture_2d<f32>;
+
+    const FLOATS_PER_PARTICLE: u32 = 10u;
+    const PI: f32 = 3.14159265;
+    const DROPLET_ROUGHNESS: f32 = 0.25;
+
+    struct VertexOut {
+        @builtin(position) position: vec4f,
+        @location(0) center: vec2f, // gl_PointCoord - 0.5, x along the streak
+        @location(1) @interpolate(flat) state: f32,
+        @location(2) @interpolate(flat) size: f32,
+        @location(3) viewPos: vec3f,
+        @location(4) @interpolate(flat) depthFade: f32,
+        @location(5) @interpolate(flat) streakDir: vec2f, // Screen direction of motion, y up
+    }
+
+    // GGX highlight of one light on water (F0 = 0.02), same as dropletSpecular() in main-gpu.js
+    fn dropletSpecular(normal: vec3f, viewDir: vec3f, lightDir: vec3f) -> f32 {
+        let halfVec = normalize(viewDir + lightDir);
+        let nl = max(dot(normal, lightDir), 0.0);
+        let nv = max(dot(normal, viewDir), 0.001);
+        let nh = max(dot(normal, halfVec), 0.0);
+
+        let a = DROPLET_ROUGHNESS * DROPLET_ROUGHNESS;
+        let a2 = a * a;
+        let d = nh * nh * (a2 - 1.0) + 1.0;
+        let D = a2 / (PI * d * d);
+        let F = 0.02 + 0.98 * pow(1.0 - max(dot(viewDir, halfVec), 0.0), 5.0);
+        let k = a * 0.5;
+        let G = (nl / (nl * (1.0 - k) + k)) * (nv / (nv * (1.0 - k) + k));
+
+        return D * F * G / (4.0 * nv);
+    }
+
+    // Background video at a screen UV (top-down, like the copied frame), cropped like object-fit: cover
+    fn sampleEnv(uv: vec2f) -> vec3f {
+        let videoUv = (uv - 0.5) * u.envMapScale + 0.5;
+        return textureSampleLevel(envMap, envSampler, clamp(videoUv, vec2f(0.0), vec2f(1.0)), 0.0).rgb;
+    }
+
+    // Sample SDF with trilinear interpolation
+    fn sampleSDF(pos: vec3f) -> f32 {
+        let f = (pos - u.sdfMin) / u.sdfStep - vec3f(0.5);
+        let x0 = i32(floor(f.x));
+        let y0 = i32(floor(f.y));
+        let z0 = i32(floor(f.z));
+
+        let r = i32(u.sdfResolution);
+
+        if (x0 < 0 || x0 >= r - 1 || y0 < 0 || y0 >= r - 1 || z0 < 0 || z0 >= r - 1) {
+            return 100.0;
+        }
+
+        let t = f - vec3f(f32(x0), f32(y0), f32(z0));
+        let r2 = r * r;
+        let i000 = x0 + y0 * r + z0 * r2;
+
+        let c00 = mix(sdfData[i000], sdfData[i000 + 1], t.x);
+        let c10 = mix(sdfData[i000 + r], sdfData[i000 + r + 1], t.x);
+        let c01 = mix(sdfData[i000 + r2], sdfData[i000 + r2 + 1], t.x);
+        let c11 = mix(sdfData[i000 + r2 + r], sdfData[i000 + r2 + r + 1], t.x);
+
+        return mix(mix(c00, c10, t.y), mix(c01, c11, t.y), t.z);
+    }
+
+    // The text mesh is not in the overlay's depth buffer, so hide drops
+    // behind a letter by sphere-tracing the SDF from the drop toward the camera
+    fn hiddenByText(pos: vec3f) -> bool {
+        let toCamera = u.cameraPos - pos;
+        let rayLength = length(toCamera);
+        let dir = toCamera / rayLength;
+
+        // Clip the ray to the sampled SDF volume
+        let boxMin = u.sdfMin + u.sdfStep;
+        let boxMax = u.sdfMin + u.sdfStep * (u.sdfResolution - 1.0);
+        let invDir = 1.0 / dir;
+        let t0 = (boxMin - pos) * invDir;
+        let t1 = (boxMax - pos) * invDir;
+        let tNear = max(max(min(t0.x, t1.x), min(t0.y, t1.y)), min(t0.z, t1.z));
+        let tFar = min(min(max(t0.x, t1.x), max(t0.y, t1.y)), max(t0.z, t1.z));
+
+        var t = max(tNear, 0.15); // Start clear of the surface a stuck drop sits on
+        let tEnd = min(tFar, rayLength);
+
+        for (var i = 0; i < 32; i = i + 1) {
+            if (t >= tEnd) { break; }
+            let dist = sampleSDF(pos + dir * t);
+            if (dist < 0.0) { return true; }
+            t = t + max(dist, 0.05);
+        }
+        return false;
+    }
+
+    @vertex
+    fn vs(@builtin(vertex_index) vertexIdx: u32, @builtin(instance_index) particleIdx: u32) -> VertexOut {
+        var corners = array<vec2f, 6>(
+            vec2f(-1.0, -1.0), vec2f(1.0, -1.0), vec2f(-1.0, 1.0),
+            vec2f(-1.0, 1.0), vec2f(1.0, -1.0), vec2f(1.0, 1.0)
+        );
+
+        let base = particleIdx * FLOATS_PER_PARTICLE;
+        let state = particles[base + 6u];
+        let size = particles[base + 7u];
+        let current = vec3f(particles[base + 0u], particles[base + 1u], particles[base + 2u]);
+        let prev = vec3f(
+            prevPositions[particleIdx * 3u + 0u],
+            prevPositions[particleIdx * 3u + 1u],
+            prevPositions[particleIdx * 3u + 2u]
+        );
+        let pos = mix(prev, current, u.alpha);
+
+        var out: VertexOut;
+        out.state = state;
+        out.size = size;
+        out.center = vec2f(0.0);
+        out.viewPos = vec3f(0.0);
+        out.depthFade = 1.0;
+        out.streakDir = vec2f(1.0, 0.0);
+
+        // Hide only INACTIVE (4) particles, tiny ones and drops behind the text
+        // by collapsing the quad outside the clip volume
+        if ((state > 3.5 && state < 4.5) || size < 0.01 || hiddenByText(pos)) {
+            out.position = vec4f(0.0, 0.0, 2.0, 1.0);
+            return out;
+        }
+
+        let mvPos = u.viewMatrix * vec4f(pos, 1.0);
+        let clipPos = u.projectionMatrix * mvPos;
+        out.viewPos = -mvPos.xyz;
+
+        let dist = length(mvPos.xyz);
+        var pointSize = size;
+
+        // Make FALLING particles noticeably smaller for a softer, subtle spray
+        if (state < 0.5) {
+            pointSize = pointSize * 0.5;
+        }
+
+        // Configurable size attenuation (pixels, like gl_PointSize)
+        if (u.sizeAttenuation > 0.5) {
+            pointSize = pointSize * (400.0 / dist);
+        } else {
+            pointSize = pointSize * 25.0;
+        }
+        pointSize = clamp(pointSize, 1.0, 64.0);
+
+        // FALLING (0), DRIPPING (3) and BOUNCING (5) streak along their projected velocity
+        var streakDir = vec2f(1.0, 0.0);
+        var stretch = 1.0;
+        let moving = state < 0.5 || (state > 2.5 && state < 3.5) || state > 4.5;
+        let vel = vec3f(particles[base + 3u], particles[base + 4u], particles[base + 5u]);
+        let endClip = u.projectionMatrix * u.viewMatrix * vec4f(pos + vel * u.streakTime, 1.0);
+        if (moving && endClip.w > 0.0) {
+            let delta = (endClip.xy / endClip.w - clipPos.xy / clipPos.w) * 0.5 * u.viewport;
+            let len = length(delta);
+            if (len > 0.001) {
+                streakDir = delta / len;
+                stretch = clamp(1.0 + len / pointSize, 1.0, u.streakMaxStretch);
+            }
+        }
+
+        // Quad long side along the streak, pixel offsets back to clip space
+        let corner = corners[vertexIdx];
+        let offset = streakDir * corner.x * stretch + vec2f(-streakDir.y, streakDir.x) * corner.y;
+        out.position = clipPos + vec4f(offset * pointSize / u.viewport * clipPos.w, 0.0, 0.0);
+        out.center = vec2f(corner.x, -corner.y) * 0.5;
+        out.streakDir = streakDir;
+
+        // Depth fade factor
+        if (u.depthFade > 0.5) {
+            out.depthFade = clamp(1.0 - (dist - u.depthFadeDistance) / u.depthFadeDistance, 0.3, 1.0);
+        }
+
+        return out;
+    }
+
+    @fragment
+    fn fs(in: VertexOut) -> @location(0) vec4f {
+        let state = in.state;
+
+        // Only skip INACTIVE or tiny particles
+        if ((state > 3.5 && state < 4.5) || in.size < 0.02) { discard; }
+
+        // Shape: circular, the quad itself is stretched along the streak
+        let center = in.center;
+        let dist = length(center);
+        if (dist > 0.5) { discard; }
+
+        // Smooth alpha falloff
+        var alpha = 1.0 - smoothstep(0.3, 0.5, dist);
+
+        // Fake sphere normal in view space: undo the streak rotation, flip the top-down y
+        let perp = vec2f(-in.streakDir.y, in.streakDir.x);
+        let normalXY = (center.x * in.streakDir - center.y * perp) * 2.0;
+        let normal = vec3f(normalXY, sqrt(max(0.0, 1.0 - dot(normalXY, normalXY))));
+
+        let viewDir = normalize(in.viewPos);
+
+        let baseColor = u.waterColor * 1.3;
+
+        // Darker rim for definition
+        let rimDist = smoothstep(0.2, 0.45, dist);
+        let rimColor = u.waterColor * 0.4;
+
+        // Fresnel: stylized edge glow, and Schlick (water F0 = 0.02) for reflect vs refract
+        let nv = max(0.0, dot(normal, viewDir));
+        let fresnel = pow(1.0 - nv, 2.5);
+        let schlick = 0.02 + 0.98 * pow(1.0 - nv, 5.0);
+
+        // Body: the background seen through the drop (a tiny inverting lens) and
+        // reflected off its rim, or a flat tint when there is no environment.
+        // Screen UVs run top-down here, so view-space y offsets flip
+        var color = baseColor * 0.4; // Ambient
+        if (u.hasEnvMap > 0.5) {
+            let screenUv = in.position.xy / u.viewport;
+            let flipY = vec2f(1.0, -1.0);
+            let refracted = sampleEnv(screenUv - normal.xy * flipY * u.refraction) * mix(vec3f(1.0), baseColor, 0.35);
+            let reflectDir = reflect(-viewDir, normal);
+            let reflected = sampleEnv(screenUv + reflectDir.xy * flipY * u.refraction * 3.0);
+            color = mix(refracted, reflected, schlick);
+        }
+
+        // Specular from the scene's lights
+        var spec = 0.0; // Key light, reused for wet gloss
+        for (var i = 0; i < 3; i = i + 1) {
+            let s = dropletSpecular(normal, viewDir, u.lightDirections[i].xyz);
+            if (i == 0) { spec = s; }
+            color = color + u.lightColors[i].rgb * s * u.specularIntensity;
+        }
+        color = color + vec3f(0.9, 0.95, 1.0) * fresnel * u.fresnelStrength;
+
+        // Inner highlight (caustic-like bright center)
+        let inner = max(0.0, 1.0 - dist * 2.0);
+        color = color + vec3f(1.0) * inner * inner * 0.4;
+
+        // Apply rim darkening for droplet definition
+        color = mix(color, rimColor, rimDist * 0.5);
+
+        // Bright edge highlight
+        let rimHighlight = smoothstep(0.32, 0.42, dist) * (1.0 - smoothstep(0.42, 0.5, dist));
+        color = color + vec3f(0.9, 0.95, 1.0) * rimHighlight * 0.9;
+
+        // State-based color/alpha variations
+        if (state < 0.5) {
+            // FALLING (0)
+            color = color * 0.88;
+            alpha = alpha * 0.26;
+        } else if (state > 4.5) {
+            // BOUNCING (5)
+            color = color * 1.1 + vec3f(0.1, 0.15, 0.2) * fresnel;
+        } else if (state > 2.5 && state < 3.5) {
+            // DRIPPING (3)
+            color = color * 0.95;
+        } else if (state > 1.5 && state < 2.5) {
+            // SLIDING (2)
+            color = color * vec3f(0.95, 0.97, 1.02);
+        }
+
+        // On visible letters, drops on the surface read as a glossy wet film
+        if (state > 0.5 && state < 2.5) {
+            color = color + vec3f(0.9, 0.95, 1.0) * (spec * u.specularIntensity + fresnel * 0.5) * 0.5 * u.wetness;
+            alpha = mix(alpha, min(alpha * 1.35, 1.0), u.wetness);
+        }
+
+        // Final alpha with depth fade
+        alpha = alpha * u.waterOpacity * in.depthFade;
+        alpha = alpha * 0.9 + rimHighlight * 0.2;
+
+        return vec4f(color, alpha);
+    }
+`;
+
+// Depth-only draw of an occluding mesh, so drops behind it fail the depth test
+const OCCLUDER_SHADER = /* wgsl */`
+    @group(0) @binding(0) var<uniform> modelViewProjection: mat4x4f;
+
+    @vertex
+    fn vs(@location(0) position: vec3f) -> @builtin(position) vec4f {
+        return modelViewProjection * vec4f(position, 1.0);
+    }
+
+    // No color is written (writeMask 0); the fragment stage keeps the pipeline
+    // compatible with the particle pass's color target
+    @fragment
+    fn fs() -> @location(0) vec4f {
+        return vec4f(0.0);
+    }
+`;
+
+const DEPTH_FORMAT = 'depth24plus';
+
+export class GPUParticleRenderer {
+    /**
+     * @param {GPUComputeParticles} gpuCompute - Initialized compute backend with SDF set
+     * @param {HTMLCanvasElement} canvas - Overlay canvas for the particles
+     * @param {{directions: THREE.Vector3[], colors: THREE.Color[]}} lights - Scene lights
+     *        (view space, toward the light), read every frame; only the first 3 are used
+     * @param {VideoBackdrop|null} [videoBackdrop] - Background video to refract and reflect
+     * @param {ProceduralWave|null} [wave] - Drawn into the depth buffer while visible
+     */
+    constructor(gpuCompute, canvas, lights, videoBackdrop = null, wave = null) {
+        this.gpuCompute = gpuCompute;
+        this.lights = lights;
+        this.videoBackdrop = videoBackdrop;
+        this.wave = wave;
+        this.device = gpuCompute.device;
+        this.canvas = canvas;
+
+        this.context = canvas.getContext('webgpu');
+        this.format = navigator.gpu.getPreferredCanvasFormat();
+        this.context.configure({
+            device: this.device,
+            format: this.format,
+            alphaMode: 'premultiplied' // Composited over the WebGL canvas and video
+        });
+
+        const shaderModule = this.device.createShaderModule({ code: RENDER_SHADER });
+
+        // Blending matches THREE.NormalBlending on the particle material; depth is
+        // tested against the occluders but not written, like depthWrite: false
+        this.pipeline = this.device.createRenderPipeline({
+            layout: 'auto',
+            vertex: {
+                module: shaderModule,
+                entryPoint: 'vs'
+            },
+            fragment: {
+                module: shaderModule,
+                entryPoint: 'fs',
+                targets: [{
+                    format: this.format,
+                    blend: {
+                        color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha' },
+                        alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha' }
+                    }
+                }]
+            },
+            primitive: { topology: 'triangle-list' },
+            depthStencil: { format: DEPTH_FORMAT, depthWriteEnabled: false, depthCompare: 'less' }
+        });
+
+        // Uniforms (88 floats, see the Uniforms struct)
+        this.uniformData = new Float32Array(88);
+        this.uniformBuffer = this.device.createBuffer({
+            size: this.uniformData.byteLength,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+
+        this.envSampler = this.device.createSampler({ magFilter: 'linear', minFilter: 'linear' });
+        this.envTexture = null;
+        this.createEnvTexture(1, 1); // Placeholder until the video has a frame
+        this.depthTexture = null; // Sized with the canvas in resize()
+
+        if (wave) this.createOccluder(wave);
+
+        canvas.style.display = 'block';
+    }
+
+    // Video frames are copied into a texture of the video's size, so the bind group follows it
+    createEnvTexture(width, height) {
+        if (this.envTexture) this.envTexture.destroy();
+        this.envTexture = this.device.createTexture({
+            size: [width, height],
+            format: 'rgba8unorm',
+            // copyExternalImageToTexture needs RENDER_ATTACHMENT on the destination
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT
+        });
+
+        this.bindGroup = this.device.createBindGroup({
+            layout: this.pipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: this.gpuCompute.particleBuffer } },
+                { binding: 1, resource: { buffer: this.uniformBuffer } },
+                { binding: 2, resource: { buffer: this.gpuCompute.sdfBuffer } },
+                { binding: 3, resource: { buffer: this.gpuCompute.prevPositionBuffer } },
+                { binding: 4, resource: this.envSampler },
+                { binding: 5, resource: this.envTexture.createView() }
+            ]
+        });
+    }
+
+    // Depth-only pipeline for the wave: indices uploaded once, displaced vertices every frame
+    createOccluder(wave) {
+        const geometry = wave.mesh.geometry;
+        const indices = geometry.index.array;
+
+        this.occluderIndexFormat = indices instanceof Uint32Array ? 'uint32' : 'uint16';
+        this.occluderIndexCount = indices.length;
+        this.occluderIndexBuffer = this.device.createBuffer({
+            size: Math.ceil(indices.byteLength / 4) * 4, // Mapped buffers must be a multiple of 4 bytes
+            usage: GPUBufferUsage.INDEX,
+            mappedAtCreation: true
+        });
+        new indices.constructor(this.occluderIndexBuffer.getMappedRange()).set(indices);
+        this.occluderIndexBuffer.unmap();
+
+        this.occluderPositions = new Float32Array(geometry.attributes.position.count * 3);
+        this.occluderVertexBuffer = this.device.createBuffer({
+            size: this.occluderPositions.byteLength,
+            usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST
+        });
+
+        this.occluderMatrix = new THREE.Matrix4();
+        this.occluderUniformData = new Float32Array(16);
+        this.occluderUniformBuffer = this.device.createBuffer({
+            size: this.occluderUniformData.byteLength,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+
+        const shaderModule = this.device.createShaderModule({ code: OCCLUDER_SHADER });
+        this.occluderPipeline = this.device.createRenderPipeline({
+            layout: 'auto',
+            vertex: {
+                module: shaderModule,
+                entryPoint: 'vs',
+                buffers: [{
+                    arrayStride: 12,
+                    attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }]
+                }]
+            },
+            fragment: {
+                module: shaderModule,
+                entryPoint: 'fs',
+                targets: [{ format: this.format, writeMask: 0 }]
+            },
+            primitive: { topology: 'triangle-list', cullMode: 'none' }, // The wave is double-sided
+            depthStencil: { format: DEPTH_FORMAT, depthWriteEnabled: true, depthCompare: 'less' }
+        });
+
+        this.occluderBindGroup = this.device.createBindGroup({
+            layout: this.occluderPipeline.getBindGroupLayout(0),
+            entries: [{ binding: 0, resource: { buffer: this.occluderUniformBuffer } }]
+        });
+    }
+
+    // Match the drawing buffer to the displayed size (like renderer.setSize + setPixelRatio)
+    resize(pixelRatio) {
+        const width = Math.max(1, Math.floor(this.canvas.clientWidth * pixelRatio));
+        const height = Math.max(1, Math.floor(this.canvas.clientHeight * pixelRatio));
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        if (!this.depthTexture || this.depthTexture.width !== width || this.depthTexture.height !== height) {
+            if (this.depthTexture) this.depthTexture.destroy();
+            this.depthTexture = this.device.createTexture({
+                size: [width, height],
+                format: DEPTH_FORMAT,
+                usage: GPUTextureUsage.RENDER_ATTACHMENT
+            });
+        }
+    }
+
+    // Copy the current video frame in (the WebGL material gets it through VideoTexture)
+    copyVideoFrame() {
+        const video = this.videoBackdrop.video;
+        if (this.envTexture.width !== video.videoWidth || this.envTexture.height !== video.videoHeight) {
+            this.createEnvTexture(video.videoWidth, video.videoHeight);
+        }
+        this.device.queue.copyExternalImageToTexture(
+            { source: video },
+            { texture: this.envTexture },
+            [video.videoWidth, video.videoHeight]
+        );
+    }
+
+    /**
+     * Draw the live particle range (instance count comes from the compute pass)
+     * @param {THREE.Camera} camera
+     * @param {number} time
+     * @param {number} pixelRatio
+     * @param {number} alpha - Position between the previous and latest physics step (0-1)
+     * @param {number} fade - Opacity multiplier, for fading between texts (0-1)
+     * @param {number} wetness - 1 to gloss up drops on visible letters, 0 when hidden
+     */
+    render(camera, time, pixelRatio, alpha = 1, fade = 1, wetness = 0) {
+        this.resize(pixelRatio);
+
+        const sdf = this.gpuCompute.sdfData;
+        const u = this.uniformData;
+
+        u.set(camera.matrixWorldInverse.elements, 0);
+        u.set(camera.projectionMatrix.elements, 16);
+        u[32] = camera.position.x;
+        u[33] = camera.position.y;
+        u[34] = camera.position.z;
+        u[35] = time;
+        u.set(CONFIG.WATER_COLOR, 36);
+        u[39] = CONFIG.WATER_OPACITY * fade;
+        u[40] = this.canvas.width;
+        u[41] = this.canvas.height;
+        u[42] = CONFIG.FRESNEL_STRENGTH;
+        u[43] = CONFIG.SPECULAR_INTENSITY;
+        u[44] = CONFIG.DEPTH_FADE ? 1.0 : 0.0;
+        u[45] = CONFIG.DEPTH_FADE_DISTANCE;
+        u[46] = CONFIG.SIZE_ATTENUATION ? 1.0 : 0.0;
+        u[47] = sdf.resolution;
+        u[48] = sdf.bbox.min.x;
+        u[49] = sdf.bbox.min.y;
+        u[50] = sdf.bbox.min.z;
+        u[51] = alpha;
+        u[52] = sdf.stepX;
+        u[53] = sdf.stepY;
+        u[54] = sdf.stepZ;
+        u[55] = wetness;
+        u[56] = CONFIG.STREAK_TIME;
+        u[57] = CONFIG.STREAK_MAX_STRETCH;
+        u.fill(0, 60);
+        const lightCount = Math.min(this.lights.directions.length, 3);
+        for (let i = 0; i < lightCount; i++) {
+            this.lights.directions[i].toArray(u, 60 + i * 4);
+            this.lights.colors[i].toArray(u, 72 + i * 4);
+        }
+
+        // Same condition as the WebGL material's hasEnvMap in main-gpu.js
+        const backdrop = this.videoBackdrop;
+        const hasEnvMap = CONFIG.DROPLET_ENV_MAP && backdrop && backdrop.update(this.canvas);
+        if (hasEnvMap) {
+            this.copyVideoFrame();
+            u[84] = backdrop.scale.x;
+            u[85] = backdrop.scale.y;
+            u[86] = 1.0;
+        }
+        u[87] = CONFIG.DROPLET_REFRACTION;
+
+        this.device.queue.writeBuffer(this.uniformBuffer, 0, u);
+
+        // The wave's surface at this frame, placed by its mesh (matrixWorld is current after renderer.render)
+        const wave = this.wave;
+        const drawWave = wave && wave.mesh.visible;
+        if (drawWave) {
+            this.device.queue.writeBuffer(this.occluderVertexBuffer, 0, wave.writePositions(this.occluderPositions));
+            this.occluderMatrix
+                .multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+                .multiply(wave.mesh.matrixWorld);
+            this.occluderUniformData.set(this.occluderMatrix.elements);
+            this.device.queue.writeBuffer(this.occluderUniformBuffer, 0, this.occluderUniformData);
+        }
+
+        const commandEncoder = this.device.createCommandEncoder();
+        const passEncoder = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: this.context.getCurrentTexture().createView(),
+                clearValue: { r: 0, g: 0, b: 0, a: 0 },
+                loadOp: 'clear',
+                storeOp: 'store'
+            }],
+            depthStencilAttachment: {
+                view: this.depthTexture.createView(),
+                depthClearValue: 1.0,
+                depthLoadOp: 'clear',
+                depthStoreOp: 'discard'
+            }
+        });
+
+        // Occluders first, so drops behind them fail the depth test
+        if (drawWave) {
+            passEncoder.setPipeline(this.occluderPipeline);
+            passEncoder.setBindGroup(0, this.occluderBindGroup);
+            passEncoder.setVertexBuffer(0, this.occluderVertexBuffer);
+            passEncoder.setIndexBuffer(this.occluderIndexBuffer, this.occluderIndexFormat);
+            passEncoder.drawIndexed(this.occluderIndexCount);
+        }
+
+        passEncoder.setPipeline(this.pipeline);
+        passEncoder.setBindGroup(0, this.bindGroup);
+        passEncoder.drawIndirect(this.gpuCompute.indirectBuffer, 12);
+        passEncoder.end();
+
+        this.device.queue.submit([commandEncoder.finish()]);
+    }
+
+    destroy() {
+        if (this.uniformBuffer) this.uniformBuffer.destroy();
+        if (this.envTexture) this.envTexture.destroy();
+        if (this.depthTexture) this.depthTexture.destroy();
+        if (this.occluderIndexBuffer) {
+            this.occluderIndexBuffer.destroy();
+            this.occluderVertexBuffer.destroy();
+            this.occluderUniformBuffer.destroy();
+        }
+        this.context.unconfigure();
+        this.canvas.style.display = 'none';
+    }
+}
@@ -1,14 +1,37 @@
 import * as THREE from 'three';
 import { FontLoader } from 'three/examples/jsm/loaders/FontLoader.js';
-import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js';
-import { ParticleSystem, generateSDFAsync, generateSDF, getLastSDFBackend } from './gpu-particles.js';
+import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment.js';
+import { ParticleSystem, generateSDFAsync, generateSDF, getLastSDFBackend, validateSDF, extractTriangles } from './gpu-particles.js';
 import { HybridParticleSystem, BACKEND } from './particle-system.js';
+import { GPUParticleRenderer } from './gpu-particle-renderer.js';
+import { FluidRenderer } from './fluid-renderer.js';
+import { VideoBackdrop } from './video-backdrop.js';
+import { createTextWithLetterSpacing, DEFAULT_TEXT_SETTINGS } from './text-geometry.js';
+import { createTextMaterial } from './text-materials.js';
+import { WetnessField } from './wetness.js';
+import { spawnWave } from './wave-spawner.js';
+import { ProceduralWave } from './procedural-wave.js';
+import { AudioInput } from './audio-input.js';
+import { SplashTimeline } from './splash-timeline.js';
+import { createRandom, parseSeed } from './random.js';
 import { generateCacheKey, getCachedSDF, cacheSDF, pruneCache } from './sdf-cache.js';
 import * as CONFIG from './config.js';
 
 // Current text settings reference for caching
 let currentCacheKey = null;
 
+// In-flight text rebuild; a newer createText() aborts it
+let textBuildController = null;
+
+// Reproducible runs: ?seed=1234 or CONFIG.SIMULATION_SEED
+const simulationSeed = parseSeed(new URLSearchParams(window.location.search).get('seed')) ??
+    parseSeed(CONFIG.SIMULATION_SEED);
+const seeded = simulationSeed !== null;
+
+// Separate stream from the backends' own generator (same seed would repeat their numbers)
+const createSpawnRandom = () => seeded ? createRandom(simulationSeed ^ 0xA5A5A5A5) : Math.random;
+let spawnRandom = createSpawnRandom();
+
 // ============================================
 // SCENE SETUP
 // ============================================
@@ -48,19 +71,84 @@ const rimLight = new THREE.DirectionalLight(0x88ccff, 1.8);
 rimLight.position.set(0, 10, -15);
 scene.add(rimLight);
 
+// The water shaders light drops with these, re-read every frame so moving a light moves the highlights
+const waterLights = [keyLight, fillLight, rimLight];
+const waterLightDirections = waterLights.map(() => new THREE.Vector3()); // View space, toward the light
+const waterLightColors = waterLights.map(() => new THREE.Color()); // color * intensity
+
+// Reflections for the glass/chrome letters (only text materials use it)
+const pmremGenerator = new THREE.PMREMGenerator(renderer);
+const textEnvMap = pmremGenerator.fromScene(new RoomEnvironment(), 0.04).texture;
+pmremGenerator.dispose();
+
+// The background footage as a screen-space environment map for the water
+const backgroundVideo = document.getElementById('video-bg');
+const videoBackdrop = backgroundVideo ? new VideoBackdrop(backgroundVideo) : null;
+
+// Optional in-scene copy of the video: a camera-facing plane far behind the text,
+// so glass letters refract it and canvas captures include it
+const VIDEO_PLANE_DISTANCE = 500;
+let videoInScene = false;
+let videoPlane = null;
+if (videoBackdrop) {
+    videoPlane = new THREE.Mesh(
+        new THREE.PlaneGeometry(1, 1),
+        new THREE.ShaderMaterial({
+            uniforms: {
+                map: { value: videoBackdrop.texture },
+                coverScale: { value: videoBackdrop.scale }
+            },
+            vertexShader: `
+                varying vec2 vUv;
+                void main() {
+                    vUv = uv;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            // Raw video colors, like the page element it replaces
+            fragmentShader: `
+                uniform sampler2D map;
+                uniform vec2 coverScale;
+                varying vec2 vUv;
+                void main() {
+                    gl_FragColor = texture2D(map, (vUv - 0.5) * coverScale + 0.5);
+                }
+            `,
+            depthWrite: false
+        })
+    );
+    videoPlane.position.z = -VIDEO_PLANE_DISTANCE;
+    videoPlane.renderOrder = -1;
+    videoPlane.frustumCulled = false;
+    videoPlane.visible = false;
+    camera.add(videoPlane);
+    scene.add(camera); // Camera children only render when the camera is in the scene
+}
+
 // ============================================
 // PARTICLE SYSTEM (SoA + SDF)
 // ============================================
 let particles = null;
 let particlesMesh = null;
+let gpuParticleRenderer = null;  // WebGPU backend draws from its own buffer
+let renderMode = CONFIG.PARTICLE_RENDER_MODE;  // 'sprites' or 'fluid' (Three.js backends)
+let fluidRenderer = null;  // Created on first switch to 'fluid'
 let textBBox = null;
 
-async function initParticleSystem(textGeometry, isUpdate = false, cacheKey = null) {
+// Rebuilt text waiting for the frame loop to swap it in: { system, bbox, mesh, underline, wetness }
+let pendingText = null;
+// Water/letters/underline opacity multiplier while fading from the old text to the new one
+let textFade = 1;
+
+// Builds a ready particle system for the text off to the side, leaving the
+// current one running; the caller queues it with queueTextSwap()
+// Returns { system, bbox }
+async function initParticleSystem(textGeometry, isUpdate = false, cacheKey = null, signal = null) {
     console.log('Initializing particle system...');
     
     const loaderText = document.querySelector('.loader-text');
-    const backendTypeEl = document.getElementById('backend-type');
     const recalcStatus = document.getElementById('recalc-status');
+    let next = null;
     
     try {
         let sdfData = null;
@@ -72,23 +160,13 @@ async function initParticleSystem(textGeometry, isUpdate = false, cacheKey = nul
             if (isUpdate && recalcStatus) recalcStatus.textContent = loadingText;
             
             sdfData = await getCachedSDF(cacheKey);
+            if (signal) signal.throwIfAborted();
             
             if (sdfData) {
-                // Validate cached data
-                const data = sdfData.data;
-                let isValid = data && data.length > 0;
-                
-                if (isValid) {
-                    // Quick validation: check for reasonable distance values
-                    let minVal = Infinity, maxVal = -Infinity;
-                    const step = Math.max(1, Math.floor(data.length / 100));
-                    for (let i = 0; i < data.length; i += step) {
-                        if (data[i] < minVal) minVal = data[i];
-                        if (data[i] > maxVal) maxVal = data[i];
-                    }
-                    isValid = (maxVal - minVal) > 0.01 && minVal < 1.0;
-                    console.log(`Cache validation: min=${minVal.toFixed(3)}, max=${maxVal.toFixed(3)}, valid=${isValid}`);
-                }
+                // Validate cached data (mesh, range, near-surface values and sign)
+                const triangleCount = extractTriangles(textGeometry).length;
+                const isValid = sdfData.data && sdfData.data.length > 0 && validateSDF(sdfData, triangleCount);
+                console.log(`Cache validation: valid=${isValid}`);
                 
                 if (isValid) {
                     // Reconstruct THREE.js Box3 from cached data
@@ -115,7 +193,8 @@ async function initParticleSystem(textGeometry, isUpdate = false, cacheKey = nul
                     const statusText = `Generating collision map... ${progress}%`;
                     if (loaderText) loaderText.textContent = statusText;
                     if (isUpdate && recalcStatus) recalcStatus.textContent = statusText;
-                }
+                },
+                signal
             );
             
             // Cache the result for next time
@@ -125,47 +204,131 @@ async function initParticleSystem(textGeometry, isUpdate = false, cacheKey = nul
             }
         }
         
-        textBBox = sdfData.bbox;
-        
         // Initialize hybrid particle system (auto-selects best backend)
         const initText = 'Initializing particle system...';
         if (loaderText) loaderText.textContent = initText;
         if (isUpdate && recalcStatus) recalcStatus.textContent = initText;
         
-        particles = new HybridParticleSystem(CONFIG.MAX_PARTICLES);
-        await particles.init(sdfData);
-        
-        // Update backend display
-        const backendNames = {
-            [BACKEND.WEBGPU]: '🚀 WebGPU Compute',
-            [BACKEND.WORKERS]: '⚡ Multi-threaded Workers',
-            [BACKEND.SINGLE_THREAD]: '💻 Single-threaded CPU'
-        };
-        if (backendTypeEl) {
-            backendTypeEl.textContent = backendNames[particles.getBackendType()] || 'Unknown';
-            backendTypeEl.style.color = particles.getBackendType() === BACKEND.WEBGPU ? '#00ff88' : 
-                                         particles.getBackendType() === BACKEND.WORKERS ? '#88ccff' : '#ffcc88';
-        }
-        
-        // Create Three.js mesh for rendering
-        createParticleRenderer();
+        next = new HybridParticleSystem(CONFIG.MAX_PARTICLES);
+        if (seeded) next.setSeed(simulationSeed);
+        await next.init(sdfData);
+        if (signal) signal.throwIfAborted();
         
         console.log('Particle System ready:', CONFIG.MAX_PARTICLES.toLocaleString(), 'max particles');
-        console.log('Particle Backend:', particles.getBackendType());
+        console.log('Particle Backend:', next.getBackendType());
         console.log('SDF Backend:', getLastSDFBackend());
         
+        return { system: next, bbox: sdfData.bbox };
     } catch (err) {
+        // Superseded: drop the half-built system, the newer rebuild takes over
+        if (next) next.destroy();
+        if (signal && signal.aborted) throw err;
+        
         console.warn('Async SDF failed, falling back to sync:', err);
         const sdfData = generateSDF(textGeometry, CONFIG.SDF_RESOLUTION);
-        textBBox = sdfData.bbox;
-        particles = new ParticleSystem(CONFIG.MAX_PARTICLES);
-        particles.setSDF(sdfData);
-        createParticleRenderer();
-        
-        if (backendTypeEl) {
-            backendTypeEl.textContent = '💻 Single-threaded CPU (fallback)';
-            backendTypeEl.style.color = '#ffcc88';
-        }
+        const fallback = new ParticleSystem(CONFIG.MAX_PARTICLES);
+        fallback.setSDF(sdfData);
+        if (seeded) fallback.setSeed(simulationSeed);
+        return { system: fallback, bbox: sdfData.bbox };
+    }
+}
+
+function updateBackendDisplay(system) {
+    const backendTypeEl = document.getElementById('backend-type');
+    if (!backendTypeEl) return;
+    
+    // Plain ParticleSystem only comes from the sync fallback
+    if (!system.getBackendType) {
+        backendTypeEl.textContent = '💻 Single-threaded CPU (fallback)';
+        backendTypeEl.style.color = '#ffcc88';
+        return;
+    }
+    
+    const backendNames = {
+        [BACKEND.WEBGPU]: '🚀 WebGPU Compute',
+        [BACKEND.WORKERS]: '⚡ Multi-threaded Workers',
+        [BACKEND.SINGLE_THREAD]: '💻 Single-threaded CPU'
+    };
+    backendTypeEl.textContent = backendNames[system.getBackendType()] || 'Unknown';
+    backendTypeEl.style.color = system.getBackendType() === BACKEND.WEBGPU ? '#00ff88' : 
+                                 system.getBackendType() === BACKEND.WORKERS ? '#88ccff' : '#ffcc88';
+}
+
+function disposeMesh(mesh) {
+    scene.remove(mesh);
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+}
+
+// Hand a finished rebuild to the frame loop, replacing one that never got swapped in
+function queueTextSwap(text) {
+    discardPendingText();
+    pendingText = text;
+}
+
+function discardPendingText() {
+    if (!pendingText) return;
+    if (pendingText.system.destroy) pendingText.system.destroy();
+    disposeMesh(pendingText.mesh);
+    if (pendingText.underline) disposeMesh(pendingText.underline);
+    pendingText.wetness.dispose();
+    pendingText = null;
+}
+
+// Swap mesh, SDF and particle system in one go. Only called between updates:
+// new renderer first (the old one may draw from the old system's GPU device),
+// then tear down the old system's workers and buffers
+function applyPendingText() {
+    const { system, bbox, mesh, underline, wetness } = pendingText;
+    pendingText = null;
+    
+    const previous = particles;
+    particles = system;
+    textBBox = bbox;
+    createParticleRenderer();
+    setRenderMode(renderMode); // The new backend may not support the current mode
+    if (previous && previous.destroy) previous.destroy();
+    
+    if (textMesh) disposeMesh(textMesh);
+    textMesh = mesh;
+    scene.add(textMesh);
+    
+    if (wetnessField) wetnessField.dispose();
+    wetnessField = wetness;
+    wetnessTimer = 0;
+    
+    if (underlineMesh) disposeMesh(underlineMesh);
+    underlineMesh = underline;
+    if (underlineMesh) scene.add(underlineMesh);
+    
+    if (seeded) {
+        spawnRandom = createSpawnRandom();
+        simTime = 0;
+    }
+    updateBackendDisplay(system);
+}
+
+// Fade the old text's water out, swap the rebuilt text in once nothing is
+// mid-update, then fade back up (first build has nothing to fade out)
+function updateTextFade(frameDt) {
+    const half = CONFIG.TEXT_FADE_DURATION / 2;
+    const rate = half > 0 ? frameDt / half : Infinity;
+    
+    if (pendingText) {
+        textFade = particles ? Math.max(0, textFade - rate) : 0;
+        if (textFade === 0 && !updateInProgress) applyPendingText();
+    } else if (textFade < 1) {
+        textFade = Math.min(1, textFade + rate);
+    }
+    
+    if (particlesMesh) {
+        particlesMesh.material.uniforms.waterOpacity.value = CONFIG.WATER_OPACITY * textFade;
+    }
+    if (textMesh) {
+        textMesh.material.opacity = textMesh.material.userData.baseOpacity * textFade;
+    }
+    if (underlineMesh) {
+        underlineMesh.material.opacity = UNDERLINE_OPACITY * textFade;
     }
 }
 
@@ -177,6 +340,26 @@ function createParticleRenderer() {
         particlesMesh.material.dispose();
         particlesMesh = null;
     }
+    if (gpuParticleRenderer) {
+        gpuParticleRenderer.destroy();
+        gpuParticleRenderer = null;
+    }
+    
+    // WebGPU backend: draw on the compute device, particles never leave the GPU
+    if (particles.getBackendType && particles.getBackendType() === BACKEND.WEBGPU) {
+        try {
+            gpuParticleRenderer = new GPUParticleRenderer(
+                particles.gpuCompute,
+                document.getElementById('particle-canvas'),
+                { directions: waterLightDirections, colors: waterLightColors },
+                videoBackdrop,
+                proceduralWave
+            );
+            return;
+        } catch (err) {
+            console.error('WebGPU particle renderer failed:', err);
+        }
+    }
     
     // Custom shader for rendering particles with configurable visuals
     const particleMaterial = new THREE.ShaderMaterial({
@@ -188,23 +371,44 @@ function createParticleRenderer() {
             specularIntensity: { value: CONFIG.SPECULAR_INTENSITY },
             depthFade: { value: CONFIG.DEPTH_FADE ? 1.0 : 0.0 },
             depthFadeDistance: { value: CONFIG.DEPTH_FADE_DISTANCE },
-            sizeAttenuation: { value: CONFIG.SIZE_ATTENUATION ? 1.0 : 0.0 }
+            sizeAttenuation: { value: CONFIG.SIZE_ATTENUATION ? 1.0 : 0.0 },
+            wetness: { value: showLetters ? 1.0 : 0.0 },
+            viewport: { value: new THREE.Vector2(1, 1) }, // Drawing buffer size, set every frame
+            streakTime: { value: CONFIG.STREAK_TIME },
+            streakMaxStretch: { value: CONFIG.STREAK_MAX_STRETCH },
+            lightDirections: { value: waterLightDirections },
+            lightColors: { value: waterLightColors },
+            envMap: { value: videoBackdrop ? videoBackdrop.texture : null },
+            envMapScale: { value: new THREE.Vector2(1, 1) },
+            hasEnvMap: { value: 0 },
+            refraction: { value: CONFIG.DROPLET_REFRACTION }
+        },
+        defines: {
+            WATER_LIGHT_COUNT: waterLights.length
         },
         vertexShader: `
             attribute vec4 state; // state, stickTime, size, slideSpeed
+            attribute vec3 velocity;
             
             uniform float sizeAttenuation;
             uniform float depthFade;
             uniform float depthFadeDistance;
+            uniform vec2 viewport;
+            uniform float streakTime;
+            uniform float streakMaxStretch;
             
             varying float vSize;
             varying float vState;
             varying vec3 vViewPos;
             varying float vDepthFade;
+            varying vec2 vStreakDir; // Screen direction of motion, in gl_PointCoord space
+            varying float vStretch;  // Streak length / drop width
             
             void main() {
                 vState = state.x;
                 vSize = state.z;
+                vStreakDir = vec2(1.0, 0.0);
+                vStretch = 1.0;
                 
                 // Hide only INACTIVE (4) particles or tiny ones
                 // Show FALLING (0), STUCK (1), SLIDING (2), DRIPPING (3), BOUNCING (5)
@@ -234,6 +438,22 @@ function createParticleRenderer() {
                 }
                 gl_PointSize = clamp(gl_PointSize, 1.0, 64.0);
                 
+                // FALLING (0), DRIPPING (3) and BOUNCING (5) streak along their projected velocity
+                bool moving = vState < 0.5 || (vState > 2.5 && vState < 3.5) || vState > 4.5;
+                vec4 endClip = projectionMatrix * modelViewMatrix * vec4(position + velocity * streakTime, 1.0);
+                if (moving && endClip.w > 0.0) {
+                    vec2 delta = (endClip.xy / endClip.w - gl_Position.xy / gl_Position.w) * 0.5 * viewport;
+                    float len = length(delta);
+                    if (len > 0.001) {
+                        vStreakDir = vec2(delta.x, -delta.y) / len; // gl_PointCoord runs top-down
+                        vStretch = clamp(1.0 + len / gl_PointSize, 1.0, streakMaxStretch);
+                        // Points are square, so the sprite grows to fit the streak
+                        float streakSize = min(gl_PointSize * vStretch, 128.0);
+                        vStretch = streakSize / gl_PointSize;
+                        gl_PointSize = streakSize;
+                    }
+                }
+                
                 // Depth fade factor
                 vDepthFade = depthFade > 0.5 ? clamp(1.0 - (dist - depthFadeDistance) / depthFadeDistance, 0.3, 1.0) : 1.0;
             }
@@ -244,32 +464,67 @@ function createParticleRenderer() {
             uniform float waterOpacity;
             uniform float fresnelStrength;
             uniform float specularIntensity;
+            uniform float wetness; // 1 when the letters are drawn under the water
+            uniform vec2 viewport;
+            uniform vec3 lightDirections[WATER_LIGHT_COUNT]; // View space, toward the light
+            uniform vec3 lightColors[WATER_LIGHT_COUNT];
+            uniform sampler2D envMap; // Background video, sampled in screen space
+            uniform vec2 envMapScale; // Screen UV -> video UV (object-fit: cover)
+            uniform float hasEnvMap;
+            uniform float refraction;
+            
+            const float PI = 3.14159265;
+            const float DROPLET_ROUGHNESS = 0.25;
+            
+            // GGX highlight of one light on water (F0 = 0.02), radiance already applied by the caller
+            float dropletSpecular(vec3 normal, vec3 viewDir, vec3 lightDir) {
+                vec3 halfVec = normalize(viewDir + lightDir);
+                float nl = max(dot(normal, lightDir), 0.0);
+                float nv = max(dot(normal, viewDir), 0.001);
+                float nh = max(dot(normal, halfVec), 0.0);
+                
+                float a = DROPLET_ROUGHNESS * DROPLET_ROUGHNESS;
+                float a2 = a * a;
+                float d = nh * nh * (a2 - 1.0) + 1.0;
+                float D = a2 / (PI * d * d);
+                float F = 0.02 + 0.98 * pow(1.0 - max(dot(viewDir, halfVec), 0.0), 5.0);
+                float k = a * 0.5;
+                float G = (nl / (nl * (1.0 - k) + k)) * (nv / (nv * (1.0 - k) + k));
+                
+                return D * F * G / (4.0 * nv);
+            }
+            
+            vec3 sampleEnv(vec2 uv) {
+                vec2 videoUv = (uv - 0.5) * envMapScale + 0.5;
+                return texture2D(envMap, clamp(videoUv, 0.0, 1.0)).rgb;
+            }
             
             varying float vSize;
             varying float vState;
             varying vec3 vViewPos;
             varying float vDepthFade;
+            varying vec2 vStreakDir;
+            varying float vStretch;
             
             void main() {
                 // Only skip INACTIVE or tiny particles
                 // Subimos el umbral de tamaño para no dibujar niebla de gotitas ultra pequeñas
                 if ((vState > 3.5 && vState < 4.5) || vSize < 0.02) discard;
                 
-                // Shape: base circular, but FALLING particles are stretched vertically
+                // Shape: circular, moving drops squeezed across their streak direction
                 vec2 center = gl_PointCoord - 0.5;
-                if (vState < 0.5) {
-                    // Stretch along Y so the falling water looks more like a stream
-                    center.y *= 1.8;
-                }
+                center = vec2(dot(center, vStreakDir), dot(center, vec2(-vStreakDir.y, vStreakDir.x)) * vStretch);
                 float dist = length(center);
                 if (dist > 0.5) discard;
                 
                 // Smooth alpha falloff
                 float alpha = 1.0 - smoothstep(0.3, 0.5, dist);
                 
-                // Fake sphere normal for lighting
+                // Fake sphere normal in view space: undo the streak rotation, flip
+                // gl_PointCoord's top-down y
+                vec2 sphereXY = (center.x * vStreakDir + center.y * vec2(-vStreakDir.y, vStreakDir.x)) * 2.0;
                 vec3 normal;
-                normal.xy = center * 2.0;
+                normal.xy = vec2(sphereXY.x, -sphereXY.y);
                 normal.z = sqrt(max(0.0, 1.0 - dot(normal.xy, normal.xy)));
                 
                 vec3 viewDir = normalize(vViewPos);
@@ -281,27 +536,31 @@ function createParticleRenderer() {
                 float rimDist = smoothstep(0.2, 0.45, dist);
                 vec3 rimColor = waterColor * 0.4;
                 
-                // Fresnel effect - edge glow
-                float fresnel = pow(1.0 - max(0.0, dot(normal, viewDir)), 2.5);
-                
-                // Main specular highlight (key light)
-                vec3 lightDir = normalize(vec3(0.5, 1.0, 0.5));
-                vec3 halfVec = normalize(viewDir + lightDir);
-                float spec = pow(max(0.0, dot(normal, halfVec)), 80.0);
-                
-                // Secondary specular (fill light)
-                vec3 lightDir2 = normalize(vec3(-0.4, 0.7, -0.3));
-                float spec2 = pow(max(0.0, dot(normal, normalize(viewDir + lightDir2))), 50.0);
+                // Fresnel: stylized edge glow, and Schlick (water F0 = 0.02) for reflect vs refract
+                float nv = max(0.0, dot(normal, viewDir));
+                float fresnel = pow(1.0 - nv, 2.5);
+                float schlick = 0.02 + 0.98 * pow(1.0 - nv, 5.0);
                 
-                // Third light (rim/back light)
-                vec3 lightDir3 = normalize(vec3(0.0, 0.2, -1.0));
-                float spec3 = pow(max(0.0, dot(normal, normalize(viewDir + lightDir3))), 30.0);
+                // Body: the background seen through the drop (a tiny inverting lens) and
+                // reflected off its rim, or a flat tint when there is no environment
+                vec3 color;
+                if (hasEnvMap > 0.5) {
+                    vec2 screenUv = gl_FragCoord.xy / viewport;
+                    vec3 refracted = sampleEnv(screenUv - normal.xy * refraction) * mix(vec3(1.0), baseColor, 0.35);
+                    vec3 reflectDir = reflect(-viewDir, normal);
+                    vec3 reflected = sampleEnv(screenUv + reflectDir.xy * refraction * 3.0);
+                    color = mix(refracted, reflected, schlick);
+                } else {
+                    color = baseColor * 0.4; // Ambient
+                }
                 
-                // Build final color
-                vec3 color = baseColor * 0.4; // Ambient
-                color += vec3(1.0) * spec * specularIntensity * 1.5; // Key light
-                color += vec3(0.7, 0.85, 1.0) * spec2 * specularIntensity * 0.6; // Fill light
-                color += waterColor * 1.5 * spec3 * specularIntensity * 0.4; // Rim light
+                // Specular from the scene's lights (spec: key light, reused for wet gloss)
+                float spec = 0.0;
+                for (int i = 0; i < WATER_LIGHT_COUNT; i++) {
+                    float s = dropletSpecular(normal, viewDir, lightDirections[i]);
+                    if (i == 0) spec = s;
+                    color += lightColors[i] * s * specularIntensity;
+                }
                 color += vec3(0.9, 0.95, 1.0) * fresnel * fresnelStrength; // Fresnel glow
                 
                 // Inner highlight (caustic-like bright center)
@@ -332,6 +591,12 @@ function createParticleRenderer() {
                     color *= vec3(0.95, 0.97, 1.02);
                 }
                 
+                // On visible letters, drops on the surface read as a glossy wet film
+                if (vState > 0.5 && vState < 2.5) {
+                    color += vec3(0.9, 0.95, 1.0) * (spec * specularIntensity + fresnel * 0.5) * 0.5 * wetness;
+                    alpha = mix(alpha, min(alpha * 1.35, 1.0), wetness);
+                }
+                
                 // Final alpha with depth fade
                 alpha *= waterOpacity * vDepthFade;
                 
@@ -352,24 +617,28 @@ function createParticleRenderer() {
     // Dummy attributes - will be replaced with GPU buffers
     const positions = new Float32Array(CONFIG.MAX_PARTICLES * 3);
     const states = new Float32Array(CONFIG.MAX_PARTICLES * 4);
+    const velocities = new Float32Array(CONFIG.MAX_PARTICLES * 3);
     
     geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
     geometry.setAttribute('state', new THREE.BufferAttribute(states, 4));
+    geometry.setAttribute('velocity', new THREE.BufferAttribute(velocities, 3));
     
     particlesMesh = new THREE.Points(geometry, particleMaterial);
+    particlesMesh.renderOrder = 1; // After the (transparent) letters, so drops sit on top
     particlesMesh.frustumCulled = false;
     scene.add(particlesMesh);
 }
 
 // Update Three.js buffers from particle system - optimized draw range
-function syncParticleBuffers() {
+function syncParticleBuffers(alpha) {
     if (!particles || !particlesMesh) return;
     
     const posAttr = particlesMesh.geometry.attributes.position;
     const stateAttr = particlesMesh.geometry.attributes.state;
+    const velocityAttr = particlesMesh.geometry.attributes.velocity;
     
     // copyToBuffers now returns actual count of particles copied (only active range)
-    const activeCount = particles.copyToBuffers(posAttr, stateAttr);
+    const activeCount = particles.copyToBuffers(posAttr, stateAttr, velocityAttr, alpha);
     
     // Only tell GPU to draw particles that exist - significant optimization
     particlesMesh.geometry.setDrawRange(0, activeCount);
@@ -378,7 +647,11 @@ function syncParticleBuffers() {
 // ============================================
 // WAVE SPAWNING - Particles appear ON letters after splash
 // ============================================
-function spawnFromWave(waveZ) {
+// elapsed: simulated seconds the coming physics steps cover (see spawnWave)
+// emitter: the procedural wave to launch spray from, null to use waveZ
+// intensity: burst size relative to the event's spawn rate (audio onsets)
+// event: the splash timeline event spawning, null for the config defaults
+function spawnFromWave(waveZ, elapsed, emitter = null, intensity = 1, event = null) {
     if (!particles || !textBBox) {
         console.warn('spawnFromWave: particles or textBBox not ready');
         return;
@@ -389,209 +662,62 @@ function spawnFromWave(waveZ) {
         return;
     }
     
-    const width = textBBox.max.x - textBBox.min.x;
-    const height = textBBox.max.y - textBBox.min.y;
-    const centerX = (textBBox.max.x + textBBox.min.x) / 2;
-    const centerY = (textBBox.max.y + textBBox.min.y) / 2;
-    const totalCount = CONFIG.SPAWN_RATE;
-    console.log(`Spawning ${totalCount} particles...`);
+    spawnWave(particles, textBBox, waveZ, elapsed, spawnRandom, emitter, intensity, event);
+}
 
-    // Fase 1: capa de agua pegada a las letras (STUCK/SLIDING)
-    // Gran parte del baldazo se coloca directamente sobre la superficie del texto.
-    const surfaceRatio = 0.7;
-    const surfaceCount = Math.floor(totalCount * surfaceRatio);
-    const flyingTarget = totalCount - surfaceCount;
-    let spawnedSurface = 0;
-    
-    if (surfaceCount > 0 && particles.spawnOnSurface) {
-        const surfaceSizes = new Float32Array(surfaceCount);
-        const stickTimes = new Float32Array(surfaceCount);
-        
-        for (let i = 0; i < surfaceCount; i++) {
-            surfaceSizes[i] = CONFIG.DROP_SIZE_MIN + Math.random() * (CONFIG.DROP_SIZE_MAX - CONFIG.DROP_SIZE_MIN);
-            // Empezar con distintos "progresos" de stick para que unas gotas se suelten antes
-            stickTimes[i] = Math.random() * CONFIG.STICK_DURATION_MIN;
-        }
-        
-        spawnedSurface = particles.spawnOnSurface(surfaceCount, surfaceSizes, stickTimes) || 0;
-    }
-    
-    // Fase 2: agua volando desde la ola hacia las letras (FALLING -> impacto)
-    const flyingCount = spawnedSurface > 0 ? flyingTarget : totalCount; // fallback WebGPU: todo es flying
-    if (flyingCount <= 0) return;
-    
-    const positions = new Float32Array(flyingCount * 3);
-    const velocities = new Float32Array(flyingCount * 3);
-    const sizes = new Float32Array(flyingCount);
-    const slideSpeeds = new Float32Array(flyingCount);
-    
-    for (let i = 0; i < flyingCount; i++) {
-        // Spawn position - cubrir prácticamente todo el ancho/alto del texto
-        positions[i * 3] = centerX + (Math.random() - 0.5) * width * 1.2;
-        positions[i * 3 + 1] = centerY + (Math.random() - 0.5) * height * 1.1;
-        // Use waveZ so the splash clearly travels from the wave toward the text
-        positions[i * 3 + 2] = waveZ + (Math.random() - 0.5) * 2.0;
-        
-        // Velocity: toward text with spread
-        const angle = Math.random() * Math.PI * 2;
-        const spread = Math.random() * CONFIG.SPLASH_SPREAD_XY;
-        velocities[i * 3] = Math.cos(angle) * spread + (Math.random() - 0.5) * 2.0;
-        velocities[i * 3 + 1] = Math.sin(angle) * spread + (Math.random() - 0.5) * 4.0;
-        velocities[i * 3 + 2] = CONFIG.SPLASH_VELOCITY_Z - Math.random() * CONFIG.SPLASH_VELOCITY_SPREAD;
-        
-        // Random drop sizes
-        sizes[i] = CONFIG.DROP_SIZE_MIN + Math.random() * (CONFIG.DROP_SIZE_MAX - CONFIG.DROP_SIZE_MIN);
-        slideSpeeds[i] = Math.random();
-    }
-    
-    particles.spawn(positions, velocities, sizes, slideSpeeds);
+// Wave hits per loop: SPLASH_EVENTS, or a JSON file from ?timeline= or SPLASH_TIMELINE_SRC
+let splashTimeline = new SplashTimeline();
+const splashTimelineSrc = new URLSearchParams(window.location.search).get('timeline') || CONFIG.SPLASH_TIMELINE_SRC;
+if (splashTimelineSrc) {
+    SplashTimeline.load(splashTimelineSrc)
+        .then(timeline => {
+            splashTimeline = timeline;
+            console.log(`Splash timeline: ${timeline.events.length} events from ${splashTimelineSrc}`);
+        })
+        .catch(err => console.warn(`Could not load splash timeline ${splashTimelineSrc}, using SPLASH_EVENTS:`, err.message));
 }
 
 // ============================================
-// 3D WAVE MESH
+// AUDIO TRIGGER
 // ============================================
-function createWaveGeometry() {
-    const widthSegments = 80;
-    const heightSegments = 50;
-    const waveWidth = 35;
-    const waveHeight = 8;
-    
-    const geometry = new THREE.BufferGeometry();
-    const vertices = [];
-    const normals = [];
-    const uvs = [];
-    const indices = [];
-    
-    for (let j = 0; j <= heightSegments; j++) {
-        const v = j / heightSegments;
-        for (let i = 0; i <= widthSegments; i++) {
-            const u = i / widthSegments;
-            const x = (u - 0.5) * waveWidth;
-            const angle = v * Math.PI * 1.3;
-            const baseY = Math.sin(angle) * waveHeight * 0.5;
-            const curlRadius = 2.5 * (0.3 + v * 0.7);
-            const baseZ = -Math.cos(angle) * curlRadius;
-            const widthVar = Math.sin(u * Math.PI * 4) * 0.3;
-            
-            vertices.push(x, baseY + widthVar, baseZ);
-            
-            const nx = widthVar * 0.2;
-            const ny = Math.cos(angle);
-            const nz = Math.sin(angle);
-            const len = Math.sqrt(nx*nx + ny*ny + nz*nz);
-            normals.push(nx/len, ny/len, nz/len);
-            uvs.push(u, v);
-        }
-    }
-    
-    for (let j = 0; j < heightSegments; j++) {
-        for (let i = 0; i < widthSegments; i++) {
-            const a = j * (widthSegments + 1) + i;
-            const b = a + 1;
-            const c = a + widthSegments + 1;
-            const d = c + 1;
-            indices.push(a, c, b, b, c, d);
-        }
-    }
-    
-    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
-    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
-    geometry.setIndex(indices);
-    return geometry;
-}
+// Onsets in a track or the microphone fire short bursts instead of the timeline window
+const audioElement = document.getElementById('audio-input');
+const audioInput = new AudioInput();
+let splashTrigger = CONFIG.SPLASH_TRIGGER;  // 'timeline', 'audio' or 'microphone'
+let burstTime = 0;  // Seconds left in the current burst
+let burstIntensity = 1;
 
-const waveMaterial = new THREE.ShaderMaterial({
-    uniforms: { time: { value: 0 } },
-    vertexShader: `
-        uniform float time;
-        varying vec2 vUv;
-        varying float vCurl;
-        varying vec3 vNormal;
-        varying vec3 vWorldPos;
-        
-        void main() {
-            vUv = uv;
-            vCurl = uv.y;
-            vec3 pos = position;
-            
-            pos.y += sin(pos.x * 0.3 + time * 2.0) * 0.5;
-            pos.y += sin(pos.x * 0.7 + time * 3.5) * 0.25;
-            pos.z += sin(pos.x * 1.5 + time * 4.0) * 0.15;
-            pos.y += sin(time * 5.0 + pos.x * 0.5) * uv.y * 0.3;
-            
-            vNormal = normalize(normalMatrix * normal);
-            vWorldPos = (modelMatrix * vec4(pos, 1.0)).xyz;
-            gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
-        }
-    `,
-    fragmentShader: `
-        uniform float time;
-        varying vec2 vUv;
-        varying float vCurl;
-        varying vec3 vNormal;
-        varying vec3 vWorldPos;
-        
-        float hash(vec2 p) { return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453); }
-        float noise(vec2 p) {
-            vec2 i = floor(p), f = fract(p);
-            f = f * f * (3.0 - 2.0 * f);
-            return mix(mix(hash(i), hash(i + vec2(1,0)), f.x),
-                       mix(hash(i + vec2(0,1)), hash(i + vec2(1,1)), f.x), f.y);
-        }
-        
-        void main() {
-            vec3 n = normalize(vNormal);
-            vec3 v = normalize(cameraPosition - vWorldPos);
-            
-            vec3 deep = vec3(0.0, 0.05, 0.15);
-            vec3 mid = vec3(0.02, 0.2, 0.4);
-            vec3 surf = vec3(0.1, 0.45, 0.65);
-            vec3 foam = vec3(0.92, 0.96, 1.0);
-            
-            vec3 col = mix(deep, mid, vCurl * 0.5);
-            col = mix(col, surf, vCurl);
-            
-            float fresnel = pow(1.0 - max(0.0, dot(n, v)), 4.0);
-            col += surf * fresnel * 0.4;
-            
-            vec3 l = normalize(vec3(0.3, 1.0, 0.5));
-            float spec = pow(max(0.0, dot(n, normalize(v + l))), 128.0);
-            col += vec3(1.0) * spec * 0.8;
-            
-            float foamNoise = noise(vWorldPos.xy * 8.0 + time * 2.0);
-            float foamAmt = smoothstep(0.6, 0.95, vCurl) * (0.5 + foamNoise * 0.5);
-            col = mix(col, foam, foamAmt * 0.85);
-            
-            float alpha = 0.85 + foamAmt * 0.1;
-            gl_FragColor = vec4(col, alpha);
-        }
-    `,
-    transparent: true,
-    side: THREE.DoubleSide,
-    depthWrite: false
-});
-
-const waveMesh = new THREE.Mesh(createWaveGeometry(), waveMaterial);
-scene.add(waveMesh);
+// ============================================
+// 3D WAVE MESH
+// ============================================
+// Shown in procedural mode, rolling in over the splash window
+const oceanSettings = {
+    windSpeed: CONFIG.OCEAN_WIND_SPEED,
+    windDirection: CONFIG.OCEAN_WIND_DIRECTION,
+    choppiness: CONFIG.OCEAN_CHOPPINESS
+};
+const proceduralWave = new ProceduralWave(oceanSettings);
+scene.add(proceduralWave.mesh);
+let waveMode = CONFIG.WAVE_MODE;  // 'auto', 'video' or 'procedural'
 
 // ============================================
 // TEXT SETTINGS
 // ============================================
-let textSettings = {
-    text: 'WEEKEND',
-    fontName: 'helvetiker',
-    fontWeight: 'bold',
-    size: 2.8,
-    height: 0.6,
-    letterSpacing: 0.5,
-    bevelEnabled: true,
-    bevelSize: 0.04,
-    underline: false
-};
+let textSettings = { ...DEFAULT_TEXT_SETTINGS };
 
 let loadedFonts = {};
 let underlineMesh = null;
+const UNDERLINE_OPACITY = 0.8;
+
+// Visible letters (live panel options, no rebuild needed)
+let textMesh = null;
+let showLetters = CONFIG.SHOW_TEXT;
+let textMaterialStyle = CONFIG.TEXT_MATERIAL;
+
+// Where water has been on the letters, fed from the particles every WETNESS_INTERVAL
+let wetnessField = null;
+let wetnessTimer = 0;
+const WETNESS_INTERVAL = 0.1;
 
 // Font URLs from Three.js examples
 const FONT_URLS = {
@@ -635,108 +761,6 @@ function loadFont(fontKey) {
     });
 }
 
-function createTextWithLetterSpacing(font, text, settings) {
-    if (settings.letterSpacing === 0) {
-        // No letter spacing - use standard TextGeometry
-        return new TextGeometry(text, {
-            font: font,
-            size: settings.size,
-            height: settings.height,
-            curveSegments: 24,
-            bevelEnabled: settings.bevelEnabled,
-            bevelThickness: 0.06,
-            bevelSize: settings.bevelSize,
-            bevelSegments: 6
-        });
-    }
-    
-    // Letter spacing: create each character separately and merge
-    const geometries = [];
-    let offsetX = 0;
-    
-    for (let i = 0; i < text.length; i++) {
-        const char = text[i];
-        if (char === ' ') {
-            offsetX += settings.size * 0.5 + settings.letterSpacing;
-            continue;
-        }
-        
-        const charGeom = new TextGeometry(char, {
-            font: font,
-            size: settings.size,
-            height: settings.height,
-            curveSegments: 24,
-            bevelEnabled: settings.bevelEnabled,
-            bevelThickness: 0.06,
-            bevelSize: settings.bevelSize,
-            bevelSegments: 6
-        });
-        
-        charGeom.computeBoundingBox();
-        const charWidth = charGeom.boundingBox.max.x - charGeom.boundingBox.min.x;
-        
-        // Translate character to position
-        charGeom.translate(offsetX - charGeom.boundingBox.min.x, 0, 0);
-        geometries.push(charGeom);
-        
-        offsetX += charWidth + settings.letterSpacing;
-    }
-    
-    // Merge all character geometries
-    if (geometries.length === 0) return null;
-    if (geometries.length === 1) return geometries[0];
-    
-    // Use BufferGeometryUtils to merge
-    const mergedGeometry = mergeBufferGeometries(geometries);
-    return mergedGeometry;
-}
-
-// Simple geometry merge function
-function mergeBufferGeometries(geometries) {
-    let totalPositions = 0;
-    let totalNormals = 0;
-    let totalIndices = 0;
-    
-    geometries.forEach(g => {
-        g.computeVertexNormals();
-        totalPositions += g.attributes.position.count;
-        if (g.index) totalIndices += g.index.count;
-    });
-    
-    const positions = new Float32Array(totalPositions * 3);
-    const normals = new Float32Array(totalPositions * 3);
-    const indices = [];
-    
-    let posOffset = 0;
-    let idxOffset = 0;
-    
-    geometries.forEach(g => {
-        const pos = g.attributes.position.array;
-        const norm = g.attributes.normal.array;
-        
-        positions.set(pos, posOffset * 3);
-        normals.set(norm, posOffset * 3);
-        
-        if (g.index) {
-            const idx = g.index.array;
-            for (let i = 0; i < idx.length; i++) {
-                indices.push(idx[i] + posOffset);
-            }
-        }
-        
-        posOffset += g.attributes.position.count;
-    });
-    
-    const merged = new THREE.BufferGeometry();
-    merged.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    merged.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
-    if (indices.length > 0) {
-        merged.setIndex(indices);
-    }
-    
-    return merged;
-}
-
 function createUnderline(bbox, settings) {
     const width = bbox.max.x - bbox.min.x;
     const underlineGeom = new THREE.BoxGeometry(
@@ -750,7 +774,7 @@ function createUnderline(bbox, settings) {
         metalness: 0.3,
         roughness: 0.5,
         transparent: true,
-        opacity: 0.8
+        opacity: UNDERLINE_OPACITY
     });
     
     const mesh = new THREE.Mesh(underlineGeom, underlineMat);
@@ -764,6 +788,14 @@ function createUnderline(bbox, settings) {
 }
 
 async function createText(isUpdate = false) {
+    // Supersede any rebuild still in flight (its SDF workers/GPU buffers are freed)
+    // or finished but not yet swapped in
+    if (textBuildController) textBuildController.abort();
+    discardPendingText();
+    const controller = new AbortController();
+    textBuildController = controller;
+    const signal = controller.signal;
+    
     const fontKey = getFontKey(textSettings.fontName, textSettings.fontWeight);
     
     // Show recalculating overlay for updates
@@ -776,6 +808,7 @@ async function createText(isUpdate = false) {
     
     try {
         const font = await loadFont(fontKey);
+        signal.throwIfAborted();
         
         let geometry = createTextWithLetterSpacing(font, textSettings.text, textSettings);
         if (!geometry) {
@@ -791,24 +824,10 @@ async function createText(isUpdate = false) {
         
         console.log('Text geometry ready:', textSettings.text);
         
-        // Remove old underline if exists
-        if (underlineMesh) {
-            scene.remove(underlineMesh);
-            underlineMesh.geometry.dispose();
-            underlineMesh.material.dispose();
-            underlineMesh = null;
-        }
-        
-        // Add underline if enabled
-        if (textSettings.underline) {
-            underlineMesh = createUnderline(geometry.boundingBox, textSettings);
-            scene.add(underlineMesh);
-        }
-        
-        // Reset particles if updating
-        if (isUpdate && particles) {
-            particles.reset();
-        }
+        // Letters and underline go in with the rest of the new text (see applyPendingText)
+        const mesh = new THREE.Mesh(geometry, createTextMaterial(textMaterialStyle, textEnvMap));
+        mesh.visible = showLetters;
+        const underline = textSettings.underline ? createUnderline(geometry.boundingBox, textSettings) : null;
         
         // Generate cache key for this text configuration
         currentCacheKey = generateCacheKey(textSettings.text, textSettings);
@@ -816,8 +835,18 @@ async function createText(isUpdate = false) {
         // Update recalc status
         if (recalcStatus) recalcStatus.textContent = 'Checking cache...';
         
-        // Await async SDF generation (or load from cache)
-        await initParticleSystem(geometry, isUpdate, currentCacheKey);
+        // Await async SDF generation (or load from cache) while the old text keeps splashing
+        let built;
+        try {
+            built = await initParticleSystem(geometry, isUpdate, currentCacheKey, signal);
+        } catch (err) {
+            disposeMesh(mesh);
+            if (underline) disposeMesh(underline);
+            throw err;
+        }
+        const wetness = new WetnessField(built.bbox);
+        wetness.applyTo(mesh.material);
+        queueTextSwap({ ...built, mesh, underline, wetness });
         
         // Hide loader after everything is ready
         const loaderEl = document.getElementById('loader');
@@ -838,6 +867,8 @@ async function createText(isUpdate = false) {
             videoEl.play().catch(err => console.log('Video autoplay blocked:', err));
         }
     } catch (error) {
+        // A newer createText() owns the loader and overlay now
+        if (signal.aborted) return;
         console.error('Failed to load font:', error);
         // Hide loader even on error
         const loaderEl = document.getElementById('loader');
@@ -855,12 +886,118 @@ async function createText(isUpdate = false) {
 // ============================================
 // CONTROL PANEL SETUP
 // ============================================
+// Switch between point sprites and screen-space fluid, keeping the panel in sync.
+// The fluid passes run on the Three.js particle mesh, so the WebGPU renderer
+// only draws sprites and the Fluid button is disabled while it is active
+function setRenderMode(mode) {
+    if (mode === 'fluid' && gpuParticleRenderer) {
+        console.warn('Fluid rendering is not available on the WebGPU backend, using sprites');
+        mode = 'sprites';
+    }
+    if (mode === 'fluid' && !FluidRenderer.isSupported(renderer)) {
+        console.warn('Fluid rendering needs WebGL2 float render targets, using sprites');
+        mode = 'sprites';
+    }
+    if (mode === 'fluid' && !fluidRenderer) {
+        fluidRenderer = new FluidRenderer(renderer, videoBackdrop);
+    }
+    renderMode = mode;
+    document.querySelectorAll('.render-btn').forEach(b => {
+        b.classList.toggle('active', b.dataset.render === mode);
+        if (b.dataset.render === 'fluid') b.disabled = !!gpuParticleRenderer;
+    });
+}
+
+// Draw the video inside the scene (a textured plane) or behind the canvas (the page element)
+function setVideoInScene(inScene) {
+    if (inScene && !videoPlane) {
+        console.warn('No background video, keeping it out of the scene');
+        inScene = false;
+    }
+    videoInScene = inScene;
+    if (videoPlane) videoPlane.visible = inScene;
+    // Hidden, not removed: the element keeps playing and feeding the texture
+    if (backgroundVideo) backgroundVideo.style.visibility = inScene ? 'hidden' : '';
+    document.getElementById('video-in-scene').checked = inScene;
+}
+
+// Fill the view at the plane's distance, cropped like object-fit: cover
+function updateVideoPlane() {
+    const height = 2 * VIDEO_PLANE_DISTANCE * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2));
+    videoPlane.scale.set(height * camera.aspect, height, 1);
+    videoBackdrop.update(renderer.domElement);
+}
+
+// Choose what drives the splash: the footage, the procedural wave, or whichever is available
+function setWaveMode(mode) {
+    waveMode = mode;
+    document.querySelectorAll('.wave-btn').forEach(b => {
+        b.classList.toggle('active', b.dataset.wave === mode);
+    });
+}
+
+// Choose what fires the splash: the loop timeline, the audio track or the microphone
+function setSplashTrigger(mode) {
+    splashTrigger = mode;
+    burstTime = 0;
+    document.querySelectorAll('.trigger-btn').forEach(b => {
+        b.classList.toggle('active', b.dataset.trigger === mode);
+    });
+    
+    if (mode === 'audio') {
+        if (!audioElement.src) audioElement.src = CONFIG.AUDIO_SRC;
+        audioInput.useElement(audioElement);
+        // Autoplay may be blocked until the first click; the Audio button retries
+        audioElement.play().catch(err => console.warn('Audio playback blocked:', err.message));
+        return;
+    }
+    
+    audioElement.pause();
+    if (mode === 'microphone') {
+        audioInput.useMicrophone().catch(err => {
+            console.warn('Microphone unavailable, back to the timeline:', err.message);
+            setSplashTrigger('timeline');
+        });
+    } else {
+        audioInput.disconnect();
+    }
+}
+
+// Show or hide the letters (current and pending text), keeping the panel in sync
+function setShowLetters(show) {
+    showLetters = show;
+    if (textMesh) textMesh.visible = show;
+    if (pendingText) pendingText.mesh.visible = show;
+    if (particlesMesh) particlesMesh.material.uniforms.wetness.value = show ? 1.0 : 0.0;
+    document.getElementById('show-letters').checked = show;
+}
+
+// Swap the letters' material in place (current and pending text)
+function setTextMaterial(style) {
+    textMaterialStyle = style;
+    const texts = [
+        { mesh: textMesh, wetness: wetnessField },
+        { mesh: pendingText && pendingText.mesh, wetness: pendingText && pendingText.wetness }
+    ];
+    for (const { mesh, wetness } of texts) {
+        if (!mesh) continue;
+        const opacity = mesh.material.opacity;
+        mesh.material.dispose();
+        mesh.material = createTextMaterial(style, textEnvMap);
+        mesh.material.opacity = opacity; // Keep a running fade
+        if (wetness) wetness.applyTo(mesh.material);
+    }
+    document.querySelectorAll('.material-btn').forEach(b => {
+        b.classList.toggle('active', b.dataset.material === style);
+    });
+}
+
 function setupControls() {
     // Text input
     const textInput = document.getElementById('text-input');
     
     // Font buttons
-    const fontBtns = document.querySelectorAll('.font-btn:not(.weight-btn)');
+    const fontBtns = document.querySelectorAll('.font-btn[data-font]');
     fontBtns.forEach(btn => {
         btn.addEventListener('click', () => {
             fontBtns.forEach(b => b.classList.remove('active'));
@@ -907,6 +1044,42 @@ function setupControls() {
         textSettings.underline = e.target.checked;
     });
     
+    // Letters - applied live to the current text mesh
+    document.getElementById('show-letters').addEventListener('change', (e) => {
+        setShowLetters(e.target.checked);
+    });
+    
+    document.querySelectorAll('.material-btn').forEach(btn => {
+        btn.addEventListener('click', () => setTextMaterial(btn.dataset.material));
+    });
+    
+    // Water rendering mode - live
+    document.querySelectorAll('.render-btn').forEach(btn => {
+        btn.addEventListener('click', () => setRenderMode(btn.dataset.render));
+    });
+    
+    // Wave source - live
+    document.querySelectorAll('.wave-btn').forEach(btn => {
+        btn.addEventListener('click', () => setWaveMode(btn.dataset.wave));
+    });
+    
+    // Splash trigger - live
+    document.querySelectorAll('.trigger-btn').forEach(btn => {
+        btn.addEventListener('click', () => setSplashTrigger(btn.dataset.trigger));
+    });
+    
+    document.getElementById('audio-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        if (audioElement.src.startsWith('blob:')) URL.revokeObjectURL(audioElement.src);
+        audioElement.src = URL.createObjectURL(file);
+        setSplashTrigger('audio');
+    });
+    
+    document.getElementById('video-in-scene').addEventListener('change', (e) => {
+        setVideoInScene(e.target.checked);
+    });
+    
     // Apply button
     document.getElementById('apply-btn').addEventListener('click', () => {
         textSettings.text = textInput.value.toUpperCase() || 'TEXT';
@@ -950,10 +1123,79 @@ function setupControls() {
         document.getElementById('bevel-enabled').checked = true;
         document.getElementById('underline-enabled').checked = false;
         
+        // Reset letters
+        setShowLetters(CONFIG.SHOW_TEXT);
+        setTextMaterial(CONFIG.TEXT_MATERIAL);
+        
         // Regenerate text
         createText(true);
     });
     
+    // Physics sliders - applied live, the backends pick them up next frame
+    // Range ends name their partner (upTo/downTo) so min can't pass max
+    const physicsSliders = [
+        { id: 'phys-bounce-chance', key: 'BOUNCE_CHANCE', decimals: 2 },
+        { id: 'phys-restitution-min', key: 'BOUNCE_RESTITUTION_MIN', decimals: 2, upTo: 'BOUNCE_RESTITUTION_MAX' },
+        { id: 'phys-restitution-max', key: 'BOUNCE_RESTITUTION_MAX', decimals: 2, downTo: 'BOUNCE_RESTITUTION_MIN' },
+        { id: 'phys-bounce-scatter', key: 'BOUNCE_SCATTER', decimals: 1 },
+        { id: 'phys-impact-spray', key: 'IMPACT_SPRAY_FACTOR', decimals: 2 },
+        { id: 'phys-mist-size', key: 'MIST_SIZE_FACTOR', decimals: 2 },
+        { id: 'phys-stick-min', key: 'STICK_DURATION_MIN', decimals: 1, upTo: 'STICK_DURATION_MAX' },
+        { id: 'phys-stick-max', key: 'STICK_DURATION_MAX', decimals: 1, downTo: 'STICK_DURATION_MIN' },
+        { id: 'phys-drip-gravity', key: 'DRIP_GRAVITY', decimals: 0 }
+    ];
+    
+    const showPhysics = () => {
+        physicsSliders.forEach(({ id, key, decimals }) => {
+            document.getElementById(id).value = CONFIG.physics[key];
+            document.getElementById(`${id}-value`).textContent = CONFIG.physics[key].toFixed(decimals);
+        });
+    };
+    
+    physicsSliders.forEach(({ id, key, decimals, upTo, downTo }) => {
+        const slider = document.getElementById(id);
+        const valueDisplay = document.getElementById(`${id}-value`);
+        
+        slider.addEventListener('input', () => {
+            const val = parseFloat(slider.value);
+            valueDisplay.textContent = val.toFixed(decimals);
+            const changes = { [key]: val };
+            // Drag the other end of the range along instead of inverting it
+            if (upTo && CONFIG.physics[upTo] < val) changes[upTo] = val;
+            if (downTo && CONFIG.physics[downTo] > val) changes[downTo] = val;
+            CONFIG.setPhysics(changes);
+            if (Object.keys(changes).length > 1) showPhysics();
+        });
+    });
+    
+    document.getElementById('physics-reset-btn').addEventListener('click', () => {
+        CONFIG.setPhysics(CONFIG.PHYSICS_DEFAULTS);
+        showPhysics();
+    });
+    
+    showPhysics();
+    
+    // Ocean sliders - rebuild the procedural wave's Gerstner waves live
+    const oceanSliders = [
+        { id: 'ocean-wind-speed', key: 'windSpeed', decimals: 1 },
+        { id: 'ocean-wind-direction', key: 'windDirection', decimals: 0 },
+        { id: 'ocean-choppiness', key: 'choppiness', decimals: 2 }
+    ];
+    
+    oceanSliders.forEach(({ id, key, decimals }) => {
+        const slider = document.getElementById(id);
+        const valueDisplay = document.getElementById(`${id}-value`);
+        slider.value = oceanSettings[key];
+        valueDisplay.textContent = oceanSettings[key].toFixed(decimals);
+        
+        slider.addEventListener('input', () => {
+            const val = parseFloat(slider.value);
+            valueDisplay.textContent = val.toFixed(decimals);
+            oceanSettings[key] = val;
+            proceduralWave.setOcean(oceanSettings);
+        });
+    });
+    
     // Toggle controls visibility
     const controls = document.getElementById('controls');
     const toggleBtn = document.getElementById('toggle-controls');
@@ -984,64 +1226,200 @@ let wasSpawning = false;
 let fallbackTime = 0;  // Used when no video
 let updateInProgress = false;  // For async WebGPU updates
 let lastVideoTime = 0;  // Track video time for loop detection
+let simTime = 0;  // Physics clock, advanced in FIXED_TIMESTEP steps
+let stepAccumulator = 0;  // Frame time not yet simulated
+let stepAlpha = 1;  // Where rendering sits between the last two physics steps
+
+// Seeded runs take a fixed number of steps per frame (about 1/60s worth)
+const seededSteps = Math.max(1, Math.round((1 / 60) / CONFIG.FIXED_TIMESTEP));
 
 // Check if video is available
 const hasVideo = video && video.src && video.readyState > 0;
 
+// Clear particles for a fresh splash; seeded runs also replay their random sequences
+function resetParticles() {
+    particles.reset();
+    if (seeded) {
+        spawnRandom = createSpawnRandom();
+        simTime = 0;
+    }
+}
+
+// Soak the letters under the drops and let them dry, a few times a second
+// (only while they're shown - hidden letters stay dry)
+function updateWetness(elapsed) {
+    if (!wetnessField || !showLetters) return;
+    wetnessTimer += elapsed;
+    if (wetnessTimer < WETNESS_INTERVAL) return;
+    
+    if (particles.accumulateWetness) particles.accumulateWetness(wetnessField, wetnessTimer);
+    wetnessField.decay(wetnessTimer);
+    wetnessTimer = 0;
+}
+
+// Light directions (view space) and colors for the water, from the live scene lights
+const lightTarget = new THREE.Vector3();
+function updateWaterLights() {
+    camera.updateMatrixWorld();
+    waterLights.forEach((light, i) => {
+        light.getWorldPosition(waterLightDirections[i]);
+        light.target.getWorldPosition(lightTarget);
+        waterLightDirections[i].sub(lightTarget).normalize().transformDirection(camera.matrixWorldInverse);
+        waterLightColors[i].copy(light.color).multiplyScalar(light.visible ? light.intensity : 0);
+    });
+}
+
+function renderFrame(time) {
+    updateWaterLights();
+    if (videoInScene) updateVideoPlane();
+    
+    // Update particle shader
+    if (particlesMesh) {
+        const uniforms = particlesMesh.material.uniforms;
+        uniforms.time.value = time;
+        renderer.getDrawingBufferSize(uniforms.viewport.value);
+        
+        const hasEnvMap = CONFIG.DROPLET_ENV_MAP && videoBackdrop && videoBackdrop.update(renderer.domElement);
+        uniforms.hasEnvMap.value = hasEnvMap ? 1 : 0;
+        if (hasEnvMap) uniforms.envMapScale.value.copy(videoBackdrop.scale);
+    }
+    
+    // Fluid mode draws the same particle geometry as a surface, after the scene
+    const drawFluid = renderMode === 'fluid' && fluidRenderer && particlesMesh;
+    if (drawFluid) particlesMesh.visible = false;
+    renderer.render(scene, camera);
+    if (drawFluid) {
+        particlesMesh.visible = true;
+        fluidRenderer.render(camera, particlesMesh.geometry, CONFIG.WATER_OPACITY * textFade);
+    }
+    
+    // Overlay pass after the scene so the camera matrices are current
+    if (gpuParticleRenderer) {
+        gpuParticleRenderer.render(camera, time, renderer.getPixelRatio(), stepAlpha, textFade, showLetters ? 1 : 0);
+    }
+}
+
 async function animate() {
     requestAnimationFrame(animate);
     
     const now = performance.now();
-    const dt = Math.min((now - lastTime) / 1000, 0.05);
+    const frameDt = (now - lastTime) / 1000;
     lastTime = now;
     const time = now * 0.001;
     
-    // Get video time, or use fallback timer if no video
+    updateTextFade(frameDt);
+    
+    // Seeded runs take their steps once per finished update, so spawns and
+    // physics interleave the same way regardless of frame rate
+    if (seeded && updateInProgress) {
+        renderFrame(time);
+        return;
+    }
+    
+    // Spend banked frame time in fixed steps; the remainder carries over and
+    // sets how far to draw between the last two steps
+    const stepTime = CONFIG.FIXED_TIMESTEP;
+    let steps = 0;
+    if (seeded) {
+        steps = seededSteps;
+        stepAlpha = 1;
+    } else {
+        stepAccumulator += frameDt;
+        if (!updateInProgress) {
+            steps = Math.floor(stepAccumulator / stepTime);
+            if (steps > CONFIG.MAX_SUBSTEPS) {
+                // Too far behind (slow frame, background tab) - drop the backlog
+                steps = CONFIG.MAX_SUBSTEPS;
+                stepAccumulator = steps * stepTime;
+            }
+            stepAccumulator -= steps * stepTime;
+        }
+        stepAlpha = Math.min(stepAccumulator / stepTime, 1);
+    }
+    const elapsed = steps * stepTime;
+    const stepStart = simTime;
+    simTime += elapsed;
+    
+    // Procedural mode (or auto with no footage) rolls the 3D wave in on the fallback clock
+    const videoReady = video && video.readyState >= 2;
+    const procedural = waveMode === 'procedural' || (waveMode === 'auto' && !videoReady);
+    // Audio triggers splash whenever the music says so: no window, no loop resets
+    const audioTriggered = splashTrigger !== 'timeline';
+    
+    // Get video time, or use fallback timer if no video (or a seeded or procedural run)
     let videoTime;
-    if (video && video.readyState >= 2) {
+    if (!seeded && !procedural && videoReady) {
         videoTime = video.currentTime;
     } else {
         // Fallback: simulate video timing
-        fallbackTime += dt;
-        if (fallbackTime > CONFIG.VIDEO_LOOP_DURATION) {
+        fallbackTime += elapsed;
+        if (fallbackTime > splashTimeline.loopDuration) {
             fallbackTime = 0;
-            if (particles && particles.isReady()) particles.reset();
+            if (!audioTriggered && particles && particles.isReady()) resetParticles();
         }
         videoTime = fallbackTime;
     }
     
-    // Check if we're in the wave hit window
-    const isWaveHitting = videoTime >= CONFIG.VIDEO_WAVE_HIT_TIME && videoTime <= CONFIG.VIDEO_WAVE_END_TIME;
+    // Check which timeline events are hitting, or if a burst started by an onset is
+    let isWaveHitting;
+    let splashEvents = [];
+    let burstProgress = 0;
+    if (audioTriggered) {
+        const onset = audioInput.poll();
+        if (onset) {
+            burstTime = CONFIG.AUDIO_BURST_DURATION;
+            burstIntensity = CONFIG.AUDIO_INTENSITY_MIN +
+                onset.strength * (CONFIG.AUDIO_INTENSITY_MAX - CONFIG.AUDIO_INTENSITY_MIN);
+        }
+        isWaveHitting = burstTime > 0;
+        burstProgress = 1 - burstTime / CONFIG.AUDIO_BURST_DURATION;
+        burstTime = Math.max(burstTime - frameDt, 0);
+    } else {
+        splashEvents = splashTimeline.activeEvents(videoTime);
+        isWaveHitting = splashEvents.length > 0;
+    }
+    
+    // Place the procedural wave first so spray leaves this frame's lip
+    // (it follows the loop, so audio bursts fly in from waveZ instead)
+    if (procedural && !audioTriggered && textBBox) {
+        proceduralWave.update(videoTime, time, textBBox, splashTimeline);
+    } else {
+        proceduralWave.mesh.visible = false;
+    }
     
-    // Spawn particles when video wave is hitting
+    // Spawn particles while a wave is hitting; spawn Z follows its progress from Z=15 to Z=0
     if (isWaveHitting && particles && particles.isReady()) {
-        // Calculate spawn Z based on progress through wave
-        const progress = (videoTime - CONFIG.VIDEO_WAVE_HIT_TIME) / (CONFIG.VIDEO_WAVE_END_TIME - CONFIG.VIDEO_WAVE_HIT_TIME);
-        const spawnZ = 15 - progress * 15;  // From Z=15 to Z=0
-        spawnFromWave(spawnZ);
+        if (audioTriggered) {
+            spawnFromWave(15 - burstProgress * 15, elapsed, null, burstIntensity);
+        }
+        for (const event of splashEvents) {
+            const progress = SplashTimeline.progress(event, videoTime);
+            // The procedural wave carries one event at a time; the others fly in from waveZ
+            const emitter = proceduralWave.mesh.visible && proceduralWave.event === event ? proceduralWave : null;
+            spawnFromWave(15 - progress * 15, elapsed, emitter, 1, event);
+        }
     }
     
     // Reset particles when video loops (detect time jumping backwards)
-    if (videoTime < lastVideoTime - 0.5 && particles && particles.isReady()) {
+    if (!audioTriggered && videoTime < lastVideoTime - 0.5 && particles && particles.isReady()) {
         // Video looped - reset particles for fresh splash
-        particles.reset();
+        resetParticles();
     }
     lastVideoTime = videoTime;
     wasSpawning = isWaveHitting;
     
-    // Hide wave mesh - we're using video now
-    waveMesh.visible = false;
-    
     // Particle physics (handles async WebGPU or sync CPU)
     if (particles && particles.isReady() && !updateInProgress) {
         updateInProgress = true;
         try {
             // Update returns a promise for WebGPU, resolves immediately for CPU
-            const activeCount = await particles.update(dt, time);
-            syncParticleBuffers();
+            // Each step gets the clock at its end, stepStart + (s + 1) * stepTime
+            const activeCount = await particles.update(stepTime, stepStart + stepTime, steps);
+            syncParticleBuffers(stepAlpha);
+            updateWetness(elapsed);
             
             // Debug: log particle stats every second
-            if (Math.floor(time) !== Math.floor(time - dt)) {
+            if (Math.floor(time) !== Math.floor(time - frameDt)) {
                 const onText = particles.countOnText ? particles.countOnText() : 0;
                 console.log(`Particles: total=${particles.count}, onText=${onText}`);
             }
@@ -1051,12 +1429,7 @@ async function animate() {
         updateInProgress = false;
     }
     
-    // Update particle shader
-    if (particlesMesh) {
-        particlesMesh.material.uniforms.time.value = time;
-    }
-    
-    renderer.render(scene, camera);
+    renderFrame(time);
 }
 
 // ============================================
@@ -1073,8 +1446,14 @@ const defaultFontKey = getFontKey(textSettings.fontName, textSettings.fontWeight
 loadFont(defaultFontKey).catch(() => {}); // Start loading, ignore errors here
 
 setupControls();
+setShowLetters(showLetters);
+setTextMaterial(textMaterialStyle);
+setRenderMode(renderMode);
+setVideoInScene(CONFIG.VIDEO_IN_SCENE);
+setWaveMode(waveMode);
+setSplashTrigger(splashTrigger);
 createText();
 animate();
 
 console.log(`Particle System: ${CONFIG.MAX_PARTICLES.toLocaleString()} particles, video-synced`);
-console.log(`Video sync: wave hits at ${CONFIG.VIDEO_WAVE_HIT_TIME}s, ends at ${CONFIG.VIDEO_WAVE_END_TIME}s`);
+console.log(`Video sync: ${splashTimeline.events.length} wave hits between ${splashTimeline.start}s and ${splashTimeline.end}s`);
@@ -0,0 +1,116 @@
+/**
+ * Onset detection
+ * Energy-flux onsets on mono PCM: a hit is a jump in frame energy well above
+ * the recent average jump. Pure math on sample arrays, so the same code runs
+ * live on an AnalyserNode (audio-input.js) and offline on decoded buffers
+ * (scripts/onsets.js).
+ */
+
+import * as CONFIG from './config.js';
+
+export class OnsetDetector {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.sensitivity] - Flux must exceed mean + sensitivity * deviation
+     * @param {number} [options.minInterval] - Seconds between onsets
+     * @param {number} [options.historyTime] - Seconds the flux statistics remember
+     */
+    constructor(options = {}) {
+        this.sensitivity = options.sensitivity ?? CONFIG.AUDIO_SENSITIVITY;
+        this.minInterval = options.minInterval ?? CONFIG.AUDIO_MIN_INTERVAL;
+        this.historyTime = options.historyTime ?? 1.0;
+        this.reset();
+    }
+
+    reset() {
+        this.prevEnergy = 0;
+        this.fluxMean = 0;
+        this.fluxDeviation = 0;
+        this.peakLevel = 1e-4;
+        this.lastTime = null;
+        this.lastOnset = -Infinity;
+        this.pending = null;
+    }
+
+    /**
+     * Feed one analysis frame
+     * @param {Float32Array} frame - Mono samples (-1..1)
+     * @param {number} time - Seconds at the end of the frame
+     * @returns {{time: number, strength: number}|null} The onset, strength 0-1
+     *          relative to the loudest recent frame, or null
+     *          Onsets come back one frame late: the frame that catches the attack
+     *          often holds only its start, so the louder of the two sets the strength
+     */
+    process(frame, time) {
+        let sum = 0;
+        for (let i = 0; i < frame.length; i++) sum += frame[i] * frame[i];
+        const energy = sum / frame.length;
+        const level = Math.sqrt(energy);
+
+        const flux = Math.max(0, energy - this.prevEnergy);
+        this.prevEnergy = energy;
+
+        // Time-based averages, so the frame rate/hop size doesn't change the behavior
+        const dt = this.lastTime === null ? 0 : Math.max(time - this.lastTime, 0);
+        this.lastTime = time;
+        const keep = Math.exp(-dt / this.historyTime);
+
+        // Loudness reference decays slowly so quiet and loud tracks both reach 1
+        this.peakLevel = Math.max(level, this.peakLevel * Math.exp(-dt / (this.historyTime * 4)), 1e-4);
+
+        const threshold = this.fluxMean + this.sensitivity * this.fluxDeviation;
+        const isOnset = dt > 0 && flux > threshold && flux > 1e-6 &&
+            time - this.lastOnset >= this.minInterval;
+
+        this.fluxDeviation = keep * this.fluxDeviation + (1 - keep) * Math.abs(flux - this.fluxMean);
+        this.fluxMean = keep * this.fluxMean + (1 - keep) * flux;
+
+        const onset = this.takePending(level);
+        if (isOnset) {
+            this.lastOnset = time;
+            this.pending = { time, level };
+        }
+        return onset;
+    }
+
+    /**
+     * The onset still held back for the next frame, when no frame follows
+     * (end of a buffer or stream)
+     * @returns {{time: number, strength: number}|null}
+     */
+    flush() {
+        return this.takePending(0);
+    }
+
+    // Pending onset with its strength from the louder of its frame and the next
+    takePending(level) {
+        if (!this.pending) return null;
+        const strength = Math.min(Math.max(this.pending.level, level) / this.peakLevel, 1);
+        const onset = { time: this.pending.time, strength };
+        this.pending = null;
+        return onset;
+    }
+}
+
+/**
+ * Onsets of a whole decoded buffer
+ * @param {Float32Array} samples - Mono PCM
+ * @param {number} sampleRate
+ * @param {Object} [options] - OnsetDetector options plus frameSize/hopSize (samples)
+ * @returns {{time: number, strength: number}[]}
+ */
+export function detectOnsets(samples, sampleRate, options = {}) {
+    const frameSize = options.frameSize ?? 1024;
+    const hopSize = options.hopSize ?? 512;
+    const detector = new OnsetDetector(options);
+    const onsets = [];
+
+    for (let start = 0; start + frameSize <= samples.length; start += hopSize) {
+        const onset = detector.process(samples.subarray(start, start + frameSize), (start + frameSize) / sampleRate);
+        if (onset) onsets.push(onset);
+    }
+    // An attack in the last frame has no next frame to release it
+    const last = detector.flush();
+    if (last) onsets.push(last);
+    return onsets;
+}
@@ -7,7 +7,9 @@
  */
 
 import { GPUComputeParticles, isWebGPUAvailable } from './gpu-compute.js';
-import { ParticleSystem as CPUParticleSystem } from './gpu-particles.js';
+import { ParticleSystem as CPUParticleSystem, buildSurfaceSamples, pickSurfacePoint } from './gpu-particles.js';
+import { createRandom, randomSeed } from './random.js';
+import { FALLING, STUCK, SLIDING, INACTIVE, BOUNCING, createSDFGrid } from './physics-kernel.js';
 import * as CONFIG from './config.js';
 
 // Backend types
@@ -17,10 +19,16 @@ export const BACKEND = {
     SINGLE_THREAD: 'single-thread'
 };
 
+// Shared arrays copied out for rendering once the workers finish an update
+const SNAPSHOT_FIELDS = [
+    'posX', 'posY', 'posZ', 'prevX', 'prevY', 'prevZ', 'velX', 'velY', 'velZ',
+    'state', 'size', 'stickTime', 'slideSpeed'
+];
+
 /**
  * Worker Pool for parallel CPU physics
  */
-class WorkerParticleSystem {
+export class WorkerParticleSystem {
     constructor(maxParticles, workerCount = navigator.hardwareConcurrency || 4) {
         this.max = maxParticles;
         this.count = 0;
@@ -29,6 +37,20 @@ class WorkerParticleSystem {
         this.ready = false;
         this.pendingUpdates = 0;
         this.highestActiveIndex = 0;
+        this.activeCount = 0;  // From the scan after the last completed update
+        this.physicsRevision = 0;  // Of the physics settings last sent to the workers
+        this.onUpdatesDone = null;  // Resolves a seeded update once every worker reports back
+        
+        // Randomness - unseeded runs still hash physics, just from a fresh seed
+        this.seed = randomSeed();
+        this.seeded = false;
+        this.step = 0;
+        this.random = Math.random;
+        
+        // Dead slots below count, rebuilt by the scan when the workers finish and reused by spawns
+        this.freeSlots = new Uint32Array(maxParticles);
+        this.freeCount = 0;
+        this.freeHead = 0;
         
         // Check SharedArrayBuffer support
         this.supported = typeof SharedArrayBuffer !== 'undefined';
@@ -45,6 +67,9 @@ class WorkerParticleSystem {
             this.sizeBuffer = new SharedArrayBuffer(maxParticles * 4);
             this.stickTimeBuffer = new SharedArrayBuffer(maxParticles * 4);
             this.slideSpeedBuffer = new SharedArrayBuffer(maxParticles * 4);
+            this.prevXBuffer = new SharedArrayBuffer(maxParticles * 4);
+            this.prevYBuffer = new SharedArrayBuffer(maxParticles * 4);
+            this.prevZBuffer = new SharedArrayBuffer(maxParticles * 4);
             
             // Create typed array views
             this.posX = new Float32Array(this.posXBuffer);
@@ -57,66 +82,50 @@ class WorkerParticleSystem {
             this.size = new Float32Array(this.sizeBuffer);
             this.stickTime = new Float32Array(this.stickTimeBuffer);
             this.slideSpeed = new Float32Array(this.slideSpeedBuffer);
+            this.prevX = new Float32Array(this.prevXBuffer);
+            this.prevY = new Float32Array(this.prevYBuffer);
+            this.prevZ = new Float32Array(this.prevZBuffer);
+            
+            this.state.fill(INACTIVE);
             
-            this.state.fill(4); // INACTIVE
+            // Copy of the shared arrays taken when the workers finish, so rendering
+            // and wetness never read particles a worker is still writing
+            this.snapshotCount = 0;
+            this.snapshot = {};
+            for (const name of SNAPSHOT_FIELDS) {
+                this.snapshot[name] = new this[name].constructor(maxParticles);
+            }
+            this.snapshot.state.fill(INACTIVE);
         }
         
         this.sdf = null;
+        this.surfaceSamples = null;
     }
     
     async init(sdfData) {
         if (!this.supported) return false;
         
         this.sdf = sdfData;
+        this.surfaceSamples = buildSurfaceSamples(sdfData);
+        
+        // Workers get a copy of the live physics settings, resynced in update()
+        const configData = { ...CONFIG.physics };
+        this.physicsRevision = CONFIG.getPhysicsRevision();
         
-        const configData = {
-            DRIP_GRAVITY: CONFIG.DRIP_GRAVITY,
-            BOUNCE_CHANCE: CONFIG.BOUNCE_CHANCE,
-            BOUNCE_RESTITUTION_MIN: CONFIG.BOUNCE_RESTITUTION_MIN,
-            BOUNCE_RESTITUTION_MAX: CONFIG.BOUNCE_RESTITUTION_MAX,
-            BOUNCE_SCATTER: CONFIG.BOUNCE_SCATTER,
-            BOUNCE_SCATTER_VERTICAL: CONFIG.BOUNCE_SCATTER_VERTICAL,
-            BOUNCE_DRAG: CONFIG.BOUNCE_DRAG,
-            BOUNCE_SIZE_REDUCTION: CONFIG.BOUNCE_SIZE_REDUCTION,
-            SPLASH_UPWARD_BIAS: CONFIG.SPLASH_UPWARD_BIAS,
-            IMPACT_SPRAY_FACTOR: CONFIG.IMPACT_SPRAY_FACTOR,
-            MIST_SIZE_FACTOR: CONFIG.MIST_SIZE_FACTOR,
-            STICK_DURATION_MIN: CONFIG.STICK_DURATION_MIN,
-            STICK_DURATION_MAX: CONFIG.STICK_DURATION_MAX,
-            STICK_JITTER_AMOUNT: CONFIG.STICK_JITTER_AMOUNT,
-            STICK_JITTER_SPEED: CONFIG.STICK_JITTER_SPEED,
-            DRIP_INITIAL_VELOCITY: CONFIG.DRIP_INITIAL_VELOCITY,
-            DRIP_SHRINK_RATE: CONFIG.DRIP_SHRINK_RATE,
-            DRIP_REMOVE_Y: CONFIG.DRIP_REMOVE_Y,
-            DRIP_MIN_SIZE: CONFIG.DRIP_MIN_SIZE
-        };
-        
-        const sdfTransfer = {
-            data: sdfData.data.buffer,
-            bbox: {
-                minX: sdfData.bbox.min.x,
-                minY: sdfData.bbox.min.y,
-                minZ: sdfData.bbox.min.z,
-                maxX: sdfData.bbox.max.x,
-                maxY: sdfData.bbox.max.y,
-                maxZ: sdfData.bbox.max.z
-            },
-            resolution: sdfData.resolution,
-            stepX: sdfData.stepX,
-            stepY: sdfData.stepY,
-            stepZ: sdfData.stepZ
-        };
+        // Each worker gets its own copy of the SDF grid
+        const sdfGrid = createSDFGrid(sdfData);
         
         // Create workers
         const workerPromises = [];
         for (let i = 0; i < this.workerCount; i++) {
-            const worker = new Worker(new URL('./physics-worker.js', import.meta.url));
+            const worker = new Worker(new URL('./physics-worker.js', import.meta.url), { type: 'module' });
             
             const promise = new Promise((resolve) => {
                 worker.onmessage = (e) => {
                     if (e.data.type === 'ready') resolve();
                     else if (e.data.type === 'done') {
                         this.pendingUpdates--;
+                        if (this.pendingUpdates === 0) this.finishUpdate();
                     }
                 };
             });
@@ -133,10 +142,13 @@ class WorkerParticleSystem {
                     state: this.stateBuffer,
                     size: this.sizeBuffer,
                     stickTime: this.stickTimeBuffer,
-                    slideSpeed: this.slideSpeedBuffer
+                    slideSpeed: this.slideSpeedBuffer,
+                    prevX: this.prevXBuffer,
+                    prevY: this.prevYBuffer,
+                    prevZ: this.prevZBuffer
                 },
                 cfg: configData,
-                sdf: sdfTransfer
+                sdf: sdfGrid
             });
             
             this.workers.push(worker);
@@ -149,134 +161,136 @@ class WorkerParticleSystem {
         return true;
     }
     
+    // Next slot to spawn into: recycle a dead slot if any, otherwise grow (-1 when full)
+    allocSlot() {
+        if (this.freeHead < this.freeCount) return this.freeSlots[this.freeHead++];
+        if (this.count < this.max) return this.count++;
+        return -1;
+    }
+    
+    // State is written last: workers skip INACTIVE slots, so a recycled slot
+    // only becomes visible to them once its data is complete
     spawn(positions, velocities, sizes, slideSpeeds) {
         const count = positions.length / 3;
         
-        for (let i = 0; i < count && this.count < this.max; i++) {
-            const idx = this.count++;
+        for (let i = 0; i < count; i++) {
+            const idx = this.allocSlot();
+            if (idx < 0) break;
             
             this.posX[idx] = positions[i * 3];
             this.posY[idx] = positions[i * 3 + 1];
             this.posZ[idx] = positions[i * 3 + 2];
+            this.prevX[idx] = this.posX[idx];
+            this.prevY[idx] = this.posY[idx];
+            this.prevZ[idx] = this.posZ[idx];
             this.velX[idx] = velocities[i * 3];
             this.velY[idx] = velocities[i * 3 + 1];
             this.velZ[idx] = velocities[i * 3 + 2];
-            this.state[idx] = 0; // FALLING
             this.size[idx] = sizes[i];
             this.stickTime[idx] = 0;
             this.slideSpeed[idx] = slideSpeeds[i];
+            this.state[idx] = FALLING;
         }
     }
     
-    // Spawn particles directly on surface (STUCK state)
-    spawnOnSurface(count, sizes, stickTimes) {
-        if (!this.sdf) return 0;
+    // Spawn particles directly on surface (STUCK state), within region if given
+    spawnOnSurface(count, sizes, stickTimes, region = null) {
+        if (!this.sdf || this.surfaceSamples.length === 0) return 0;
         
-        const { bbox, data, resolution, stepX, stepY, stepZ } = this.sdf;
+        const point = { x: 0, y: 0, z: 0 };
         let spawned = 0;
-        let attempts = 0;
-        const maxAttempts = count * 10;
         
-        while (spawned < count && this.count < this.max && attempts < maxAttempts) {
-            attempts++;
+        while (spawned < count) {
+            const idx = this.allocSlot();
+            if (idx < 0) break;
+            pickSurfacePoint(this.surfaceSamples, this.sdf, point, this.random, region);
             
-            const x = bbox.min.x + Math.random() * (bbox.max.x - bbox.min.x);
-            const y = bbox.min.y + Math.random() * (bbox.max.y - bbox.min.y);
-            const z = bbox.max.z - Math.random() * 0.5;
+            this.posX[idx] = point.x;
+            this.posY[idx] = point.y;
+            this.posZ[idx] = point.z;
+            this.prevX[idx] = point.x;
+            this.prevY[idx] = point.y;
+            this.prevZ[idx] = point.z;
+            this.velX[idx] = 0;
+            this.velY[idx] = 0;
+            this.velZ[idx] = 0;
+            this.size[idx] = sizes[spawned % sizes.length];
+            this.stickTime[idx] = stickTimes[spawned % stickTimes.length];
+            this.slideSpeed[idx] = this.random(); // 0-1 stagger, like spawn()
+            this.state[idx] = STUCK;
             
-            const dist = this.sampleSDF(x, y, z);
-            
-            // Sólo puntos muy cercanos a la superficie frontal del texto
-            if (dist > -0.05 && dist < 0.18) {
-                const grad = this.sdfGradient(x, y, z);
-                if (grad.z > 0.2) {
-                    const idx = this.count++;
-                    
-                    this.posX[idx] = x + grad.x * (0.05 - dist);
-                    this.posY[idx] = y + grad.y * (0.05 - dist);
-                    this.posZ[idx] = z + grad.z * (0.05 - dist);
-                    this.velX[idx] = 0;
-                    this.velY[idx] = 0;
-                    this.velZ[idx] = 0;
-                    this.state[idx] = 1; // STUCK
-                    this.size[idx] = sizes[spawned % sizes.length];
-                    this.stickTime[idx] = stickTimes[spawned % stickTimes.length];
-                    this.slideSpeed[idx] = CONFIG.SLIDE_SPEED_MIN + Math.random() * (CONFIG.SLIDE_SPEED_MAX - CONFIG.SLIDE_SPEED_MIN);
-                    
-                    spawned++;
-                }
-            }
+            spawned++;
         }
         
         return spawned;
     }
     
-    // Sample SDF (simplified version for worker system)
-    sampleSDF(x, y, z) {
-        if (!this.sdf) return 100;
-        
-        const { bbox, data, resolution, stepX, stepY, stepZ } = this.sdf;
-        
-        const fx = (x - bbox.min.x) / stepX - 0.5;
-        const fy = (y - bbox.min.y) / stepY - 0.5;
-        const fz = (z - bbox.min.z) / stepZ - 0.5;
-        
-        const x0 = Math.floor(fx), y0 = Math.floor(fy), z0 = Math.floor(fz);
-        
-        if (x0 < 0 || x0 >= resolution - 1 || y0 < 0 || y0 >= resolution - 1 || z0 < 0 || z0 >= resolution - 1) return 100;
-        
-        const tx = fx - x0, ty = fy - y0, tz = fz - z0;
-        const r = resolution, r2 = r * r;
-        const i000 = x0 + y0 * r + z0 * r2;
-        
-        const c00 = data[i000] * (1 - tx) + data[i000 + 1] * tx;
-        const c10 = data[i000 + r] * (1 - tx) + data[i000 + r + 1] * tx;
-        const c01 = data[i000 + r2] * (1 - tx) + data[i000 + r2 + 1] * tx;
-        const c11 = data[i000 + r2 + r] * (1 - tx) + data[i000 + r2 + r + 1] * tx;
-        
-        const c0 = c00 * (1 - ty) + c10 * ty;
-        const c1 = c01 * (1 - ty) + c11 * ty;
-        
-        return c0 * (1 - tz) + c1 * tz;
-    }
-    
-    // Get SDF gradient (surface normal)
-    sdfGradient(x, y, z) {
-        const eps = 0.1;
-        const dx = this.sampleSDF(x + eps, y, z) - this.sampleSDF(x - eps, y, z);
-        const dy = this.sampleSDF(x, y + eps, z) - this.sampleSDF(x, y - eps, z);
-        const dz = this.sampleSDF(x, y, z + eps) - this.sampleSDF(x, y, z - eps);
-        const len = Math.sqrt(dx*dx + dy*dy + dz*dz) || 1;
-        return { x: dx/len, y: dy/len, z: dz/len };
-    }
-    
     // Spawn spray particles (BOUNCING state)
     spawnSpray(positions, velocities, sizes) {
         const count = positions.length / 3;
         
-        for (let i = 0; i < count && this.count < this.max; i++) {
-            const idx = this.count++;
+        for (let i = 0; i < count; i++) {
+            const idx = this.allocSlot();
+            if (idx < 0) break;
             
             this.posX[idx] = positions[i * 3];
             this.posY[idx] = positions[i * 3 + 1];
             this.posZ[idx] = positions[i * 3 + 2];
+            this.prevX[idx] = this.posX[idx];
+            this.prevY[idx] = this.posY[idx];
+            this.prevZ[idx] = this.posZ[idx];
             this.velX[idx] = velocities[i * 3];
             this.velY[idx] = velocities[i * 3 + 1];
             this.velZ[idx] = velocities[i * 3 + 2];
-            this.state[idx] = 5; // BOUNCING
             this.size[idx] = sizes[i];
             this.stickTime[idx] = 0;
             this.slideSpeed[idx] = 0;
+            this.state[idx] = BOUNCING;
         }
     }
     
-    update(dt, time) {
-        if (!this.ready || this.count === 0) return 0;
+    // Reproducible mode: same seed + same spawns + fixed dt = same particle states
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.seeded = true;
+        this.step = 0;
+        this.random = createRandom(this.seed);
+    }
+    
+    // Workers run all `steps` fixed steps of dt on their chunk in one message.
+    // Seeded runs return a promise and wait for the workers, so spawns never
+    // race a step in flight. Unseeded runs overlap physics with the next frame,
+    // skipping a frame when the workers haven't finished the last one
+    update(dt, time, steps = 1) {
+        if (!this.ready || steps <= 0) return 0;
+        if (this.pendingUpdates > 0) return this.activeCount;
+        
+        // Empty steps still count, so physics seeds stay in line with the other backends
+        if (this.count === 0) {
+            this.step += steps;
+            return 0;
+        }
+        
+        // Physics settings changed - send them ahead of this frame's work
+        const revision = CONFIG.getPhysicsRevision();
+        if (revision !== this.physicsRevision) {
+            this.physicsRevision = revision;
+            const config = { ...CONFIG.physics };
+            for (const worker of this.workers) {
+                worker.postMessage({ type: 'updateConfig', config });
+            }
+        }
         
         // Distribute work across workers
         const chunkSize = Math.ceil(this.count / this.workerCount);
+        const step = this.step;
+        this.step += steps;
         this.pendingUpdates = this.workerCount;
         
+        const workersDone = this.seeded
+            ? new Promise((resolve) => { this.onUpdatesDone = resolve; })
+            : null;
+        
         for (let i = 0; i < this.workerCount; i++) {
             const startIdx = i * chunkSize;
             const endIdx = Math.min(startIdx + chunkSize, this.count);
@@ -287,45 +301,84 @@ class WorkerParticleSystem {
                     startIdx,
                     endIdx,
                     dt,
-                    time
+                    time,
+                    steps,
+                    seed: this.seed,
+                    step
                 });
             } else {
                 this.pendingUpdates--;
             }
         }
         
-        // Find highest active (scan shared buffer)
+        if (workersDone) return workersDone.then(() => this.activeCount);
+        return this.activeCount;
+    }
+    
+    // All workers reported back: the shared arrays are settled until the next update
+    finishUpdate() {
+        this.activeCount = this.scanSlots();
+        
+        this.snapshotCount = this.count;
+        for (const name of SNAPSHOT_FIELDS) {
+            this.snapshot[name].set(this[name].subarray(0, this.count));
+        }
+        
+        if (this.onUpdatesDone) {
+            const done = this.onUpdatesDone;
+            this.onUpdatesDone = null;
+            done();
+        }
+    }
+    
+    // Spawns take the dead slots of the latest completed scan
+    scanSlots() {
+        // Find highest active and collect dead slots (scan shared buffer)
         let highest = 0;
         let active = 0;
+        let freeCount = 0;
         for (let i = 0; i < this.count; i++) {
-            if (this.state[i] !== 4) {
+            if (this.state[i] !== INACTIVE) {
                 active++;
                 highest = i;
+            } else {
+                this.freeSlots[freeCount++] = i;
             }
         }
         this.highestActiveIndex = highest;
+        this.freeCount = freeCount;
+        this.freeHead = 0;
         
         return active;
     }
     
-    copyToBuffers(positionAttr, stateAttr) {
+    // alpha: how far render time is between the previous and the latest step (0-1)
+    // Draws the snapshot of the last completed update
+    copyToBuffers(positionAttr, stateAttr, velocityAttr, alpha = 1) {
         const pos = positionAttr.array;
         const st = stateAttr.array;
-        const limit = Math.min(this.highestActiveIndex + 1, this.count);
+        const vel = velocityAttr.array;
+        const p = this.snapshot;
+        const limit = Math.min(this.highestActiveIndex + 1, this.snapshotCount);
         
         for (let i = 0; i < limit; i++) {
-            pos[i * 3] = this.posX[i];
-            pos[i * 3 + 1] = this.posY[i];
-            pos[i * 3 + 2] = this.posZ[i];
+            pos[i * 3] = p.prevX[i] + (p.posX[i] - p.prevX[i]) * alpha;
+            pos[i * 3 + 1] = p.prevY[i] + (p.posY[i] - p.prevY[i]) * alpha;
+            pos[i * 3 + 2] = p.prevZ[i] + (p.posZ[i] - p.prevZ[i]) * alpha;
             
-            st[i * 4] = this.state[i];
-            st[i * 4 + 1] = this.stickTime[i];
-            st[i * 4 + 2] = this.size[i];
-            st[i * 4 + 3] = this.slideSpeed[i];
+            vel[i * 3] = p.velX[i];
+            vel[i * 3 + 1] = p.velY[i];
+            vel[i * 3 + 2] = p.velZ[i];
+            
+            st[i * 4] = p.state[i];
+            st[i * 4 + 1] = p.stickTime[i];
+            st[i * 4 + 2] = p.size[i];
+            st[i * 4 + 3] = p.slideSpeed[i];
         }
         
         positionAttr.needsUpdate = true;
         stateAttr.needsUpdate = true;
+        velocityAttr.needsUpdate = true;
         
         return limit;
     }
@@ -333,18 +386,32 @@ class WorkerParticleSystem {
     reset() {
         this.count = 0;
         this.highestActiveIndex = 0;
-        this.state.fill(4);
+        this.freeCount = 0;
+        this.freeHead = 0;
+        this.activeCount = 0;
+        this.state.fill(INACTIVE);
+        this.snapshotCount = 0;
+        this.snapshot.state.fill(INACTIVE);
+        
+        // Replay the same sequence on every loop
+        this.step = 0;
+        if (this.seeded) this.random = createRandom(this.seed);
     }
     
     countOnText() {
         let count = 0;
-        for (let i = 0; i < this.count; i++) {
-            const s = this.state[i];
-            if (s === 1 || s === 2) count++;
+        for (let i = 0; i < this.snapshotCount; i++) {
+            const s = this.snapshot.state[i];
+            if (s === STUCK || s === SLIDING) count++;
         }
         return count;
     }
     
+    // Reads the snapshot, like copyToBuffers()
+    accumulateWetness(field, dt) {
+        field.depositParticles(this.snapshot, this.snapshotCount, dt);
+    }
+    
     destroy() {
         this.workers.forEach(w => w.terminate());
         this.workers = [];
@@ -362,9 +429,11 @@ export class HybridParticleSystem {
         this.count = 0;
         this.sdfData = null;
         
-        // GPU compute instance
+        // GPU compute instance (rendered in place by GPUParticleRenderer)
         this.gpuCompute = null;
-        this.gpuParticleData = null;
+        
+        // Simulation seed, applied to whichever backend init() picks (null = unseeded)
+        this.seed = null;
     }
     
     async init(sdfData) {
@@ -377,10 +446,13 @@ export class HybridParticleSystem {
             
             if (await this.gpuCompute.init()) {
                 this.gpuCompute.setSDF(sdfData);
+                if (this.seed !== null) this.gpuCompute.setSeed(this.seed);
                 this.backendType = BACKEND.WEBGPU;
                 console.log('✓ Using WebGPU Compute backend');
                 return;
             }
+            this.gpuCompute.destroy();
+            this.gpuCompute = null;
         }
         
         // Try SharedArrayBuffer + Workers
@@ -390,6 +462,7 @@ export class HybridParticleSystem {
             
             try {
                 if (await workerSystem.init(sdfData)) {
+                    if (this.seed !== null) workerSystem.setSeed(this.seed);
                     this.backend = workerSystem;
                     this.backendType = BACKEND.WORKERS;
                     console.log('✓ Using SharedArrayBuffer + Workers backend');
@@ -405,6 +478,7 @@ export class HybridParticleSystem {
         console.log('Using single-threaded CPU backend');
         this.backend = new CPUParticleSystem(this.maxParticles);
         this.backend.setSDF(sdfData);
+        if (this.seed !== null) this.backend.setSeed(this.seed);
         this.backendType = BACKEND.SINGLE_THREAD;
         console.log('✓ Using single-threaded CPU backend');
     }
@@ -413,14 +487,23 @@ export class HybridParticleSystem {
         return this.backendType !== null;
     }
     
+    // Reproducible mode - call before init() or any time after
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        if (this.backendType === BACKEND.WEBGPU && this.gpuCompute) {
+            this.gpuCompute.setSeed(this.seed);
+        } else if (this.backend) {
+            this.backend.setSeed(this.seed);
+        }
+    }
+    
     spawn(positions, velocities, sizes, slideSpeeds) {
         if (!this.backendType) return; // Not initialized yet
         
         const spawnCount = positions.length / 3;
         
         if (this.backendType === BACKEND.WEBGPU) {
-            this.gpuCompute.spawn(positions, velocities, sizes, slideSpeeds, this.count, spawnCount);
-            this.count = Math.min(this.count + spawnCount, this.maxParticles);
+            this.gpuCompute.spawn(positions, velocities, sizes, slideSpeeds, spawnCount);
         } else if (this.backend) {
             this.backend.spawn(positions, velocities, sizes, slideSpeeds);
             this.count = this.backend.count;
@@ -428,12 +511,13 @@ export class HybridParticleSystem {
     }
     
     // Spawn particles directly on surface in STUCK state
-    spawnOnSurface(count, sizes, stickTimes) {
+    spawnOnSurface(count, sizes, stickTimes, region = null) {
         if (!this.backendType) return 0;
         
-        // Only CPU backends support surface spawning currently
-        if (this.backend && this.backend.spawnOnSurface) {
-            const spawned = this.backend.spawnOnSurface(count, sizes, stickTimes);
+        if (this.backendType === BACKEND.WEBGPU) {
+            return this.gpuCompute.spawnOnSurface(count, sizes, stickTimes, region);
+        } else if (this.backend && this.backend.spawnOnSurface) {
+            const spawned = this.backend.spawnOnSurface(count, sizes, stickTimes, region);
             this.count = this.backend.count;
             return spawned;
         }
@@ -444,40 +528,39 @@ export class HybridParticleSystem {
     spawnSpray(positions, velocities, sizes) {
         if (!this.backendType) return;
         
-        if (this.backend && this.backend.spawnSpray) {
+        const spawnCount = positions.length / 3;
+        
+        if (this.backendType === BACKEND.WEBGPU) {
+            this.gpuCompute.spawnSpray(positions, velocities, sizes, spawnCount);
+        } else if (this.backend && this.backend.spawnSpray) {
             this.backend.spawnSpray(positions, velocities, sizes);
             this.count = this.backend.count;
         }
     }
     
-    async update(dt, time) {
+    async update(dt, time, steps = 1) {
         if (!this.backendType) return 0; // Not initialized yet
         
         if (this.backendType === BACKEND.WEBGPU) {
             if (!this.gpuCompute) return 0;
-            this.gpuCompute.update(dt, time, this.count);
-            // Read back for rendering (async)
-            this.gpuParticleData = await this.gpuCompute.readBack(this.count);
-            return this.count;
+            this.gpuCompute.update(dt, time, steps);
+            // Stats lag a frame or two behind the GPU
+            this.count = this.gpuCompute.stats.highWater;
+            return this.gpuCompute.stats.active;
         } else if (this.backend) {
-            return this.backend.update(dt, time);
+            return this.backend.update(dt, time, steps);
         }
         return 0;
     }
     
-    copyToBuffers(positionAttr, stateAttr) {
+    copyToBuffers(positionAttr, stateAttr, velocityAttr, alpha = 1) {
         if (!this.backendType) return 0; // Not initialized yet
         
         if (this.backendType === BACKEND.WEBGPU) {
-            if (!this.gpuCompute) return 0;
-            return this.gpuCompute.copyToRenderBuffers(
-                this.gpuParticleData, 
-                this.count, 
-                positionAttr, 
-                stateAttr
-            );
+            // Drawn straight from the compute buffer, nothing to copy
+            return 0;
         } else if (this.backend) {
-            return this.backend.copyToBuffers(positionAttr, stateAttr);
+            return this.backend.copyToBuffers(positionAttr, stateAttr, velocityAttr, alpha);
         }
         return 0;
     }
@@ -495,20 +578,26 @@ export class HybridParticleSystem {
         if (!this.backendType) return 0;
         
         if (this.backendType === BACKEND.WEBGPU) {
-            // Count from GPU data if available
-            if (!this.gpuParticleData) return 0;
-            let count = 0;
-            for (let i = 0; i < this.count; i++) {
-                const state = this.gpuParticleData[i * 10 + 6];
-                if (state === 1 || state === 2) count++;
-            }
-            return count;
+            // Counted on the GPU during the physics pass
+            return this.gpuCompute ? this.gpuCompute.stats.onText : 0;
         } else if (this.backend !== null) {
             return this.backend.countOnText();
         }
         return 0;
     }
     
+    // Wet the text under drops sitting on it (see WetnessField)
+    accumulateWetness(field, dt) {
+        if (!this.backendType) return;
+        
+        if (this.backendType === BACKEND.WEBGPU) {
+            // Counted on the GPU every step, read back a frame or two late
+            if (this.gpuCompute) this.gpuCompute.accumulateWetness(field);
+        } else if (this.backend) {
+            this.backend.accumulateWetness(field, dt);
+        }
+    }
+    
     getBackendType() {
         return this.backendType;
     }
@@ -0,0 +1,497 @@
+/**
+ * Particle Physics Kernel
+ * The one copy of the particle rules: ParticleSystem (gpu-particles.js) and
+ * physics-worker.js both run stepParticle(), and gpu-compute.js builds its WGSL
+ * constants from PHYSICS_WGSL and its state machine from PHYSICS_RULES, the
+ * same text stepParticle() is compiled from.
+ */
+
+import { particleSeed, rand } from './random.js';
+
+// Particle states
+export const FALLING = 0;   // Invisible, flying toward text
+export const STUCK = 1;     // Stuck on letter surface
+export const SLIDING = 2;   // Sliding down letter
+export const DRIPPING = 3;  // Falling off letter
+export const INACTIVE = 4;  // Dead/unused
+export const BOUNCING = 5;  // Bounced off on impact
+
+// Swept collision: FALLING drops react within CONTACT_DISTANCE of the surface.
+// The sweep advances SWEEP_MIN_STEP-SWEEP_MAX_STEP per sample, for at most
+// SWEEP_MAX_STEPS samples. The max stays under the SDF's 0.8 padding so a drop
+// coming from outside the grid (sampled as far away) lands a sample in it first
+export const CONTACT_DISTANCE = 0.2;
+export const SWEEP_MIN_STEP = 0.05;
+export const SWEEP_MAX_STEP = 0.25;
+export const SWEEP_MAX_STEPS = 24;
+
+// Impacts
+export const FRONT_FACE_MIN_NZ = 0.5;     // Faces turned at least this far toward the camera catch drops
+export const IMPACT_PUSH_OUT = 0.1;       // Distance from the surface after an impact
+export const MIST_IMPACT_SPEED = 40;      // Impact speed that gets the full MIST_SIZE_FACTOR
+export const MIN_BOUNCE_SIZE = 0.2;       // Smallest bounce size reduction
+export const MISSED_TEXT_Z = -10;         // FALLING drops past this went behind the text
+
+// Sliding and dripping
+export const UNDERSIDE_NORMAL_Y = -0.5;   // Sliding drops drip off faces turned further down
+export const SLIDE_DETACH_DISTANCE = 0.4; // Sliding drops further than this from the surface drip
+export const SLIDE_SURFACE_OFFSET = 0.05; // Sliding drops are snapped this far outside the surface
+export const DRIP_RELEASE_DAMPING = 0.3;  // Horizontal velocity kept when a drop starts dripping
+export const DRIP_AIR_DRAG = 0.99;        // Horizontal velocity kept per step while dripping
+
+// WGSL declarations of the constants above, for the compute shader template
+const WGSL_U32 = { FALLING, STUCK, SLIDING, DRIPPING, INACTIVE, BOUNCING };
+const WGSL_F32 = {
+    CONTACT_DISTANCE, SWEEP_MIN_STEP, SWEEP_MAX_STEP,
+    FRONT_FACE_MIN_NZ, IMPACT_PUSH_OUT, MIST_IMPACT_SPEED, MIN_BOUNCE_SIZE, MISSED_TEXT_Z,
+    UNDERSIDE_NORMAL_Y, SLIDE_DETACH_DISTANCE, SLIDE_SURFACE_OFFSET, DRIP_RELEASE_DAMPING, DRIP_AIR_DRAG
+};
+const f32Literal = (value) => Number.isInteger(value) ? value.toFixed(1) : String(value);
+
+export const PHYSICS_WGSL = [
+    ...Object.entries(WGSL_U32).map(([name, value]) => `const ${name}: u32 = ${value}u;`),
+    ...Object.entries(WGSL_F32).map(([name, value]) => `const ${name}: f32 = ${f32Literal(value)};`),
+    `const SWEEP_MAX_STEPS: i32 = ${SWEEP_MAX_STEPS};`
+].join('\n    ');
+
+/**
+ * Flat view of an SDF for the kernel. Plain numbers and a Float32Array,
+ * so it can be posted to workers as is
+ */
+export function createSDFGrid(sdfData) {
+    return {
+        data: sdfData.data,
+        resolution: sdfData.resolution,
+        minX: sdfData.bbox.min.x,
+        minY: sdfData.bbox.min.y,
+        minZ: sdfData.bbox.min.z,
+        stepX: sdfData.stepX,
+        stepY: sdfData.stepY,
+        stepZ: sdfData.stepZ
+    };
+}
+
+// Sample SDF at position with trilinear interpolation - smooth O(1) collision!
+export function sampleSDF(grid, x, y, z) {
+    if (!grid) return 100;
+    
+    const { data, resolution, stepX, stepY, stepZ } = grid;
+    
+    // Convert world pos to continuous grid coords
+    const fx = (x - grid.minX) / stepX - 0.5;
+    const fy = (y - grid.minY) / stepY - 0.5;
+    const fz = (z - grid.minZ) / stepZ - 0.5;
+    
+    // Integer grid coords
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const z0 = Math.floor(fz);
+    
+    // Bounds check (with 1 cell margin for interpolation)
+    if (x0 < 0 || x0 >= resolution - 1 ||
+        y0 < 0 || y0 >= resolution - 1 ||
+        z0 < 0 || z0 >= resolution - 1) {
+        return 100; // Far from surface
+    }
+    
+    // Fractional parts for interpolation
+    const tx = fx - x0;
+    const ty = fy - y0;
+    const tz = fz - z0;
+    
+    // Sample 8 corners of the cell
+    const r = resolution;
+    const r2 = r * r;
+    const i000 = x0 + y0 * r + z0 * r2;
+    
+    // Trilinear interpolation
+    const c00 = data[i000] * (1 - tx) + data[i000 + 1] * tx;
+    const c10 = data[i000 + r] * (1 - tx) + data[i000 + r + 1] * tx;
+    const c01 = data[i000 + r2] * (1 - tx) + data[i000 + r2 + 1] * tx;
+    const c11 = data[i000 + r2 + r] * (1 - tx) + data[i000 + r2 + r + 1] * tx;
+    
+    const c0 = c00 * (1 - ty) + c10 * ty;
+    const c1 = c01 * (1 - ty) + c11 * ty;
+    
+    return c0 * (1 - tz) + c1 * tz;
+}
+
+// SDF gradient (surface normal direction) computed analytically from the same
+// 8 corners sampleSDF interpolates - exact for the field we collide with and
+// no blur across neighbouring voxels. Points straight up outside the grid
+export function sdfGradient(grid, x, y, z, out) {
+    out.x = 0;
+    out.y = 1;
+    out.z = 0;
+    if (!grid) return;
+    
+    const { data, resolution, stepX, stepY, stepZ } = grid;
+    
+    const fx = (x - grid.minX) / stepX - 0.5;
+    const fy = (y - grid.minY) / stepY - 0.5;
+    const fz = (z - grid.minZ) / stepZ - 0.5;
+    
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const z0 = Math.floor(fz);
+    
+    if (x0 < 0 || x0 >= resolution - 1 ||
+        y0 < 0 || y0 >= resolution - 1 ||
+        z0 < 0 || z0 >= resolution - 1) {
+        return;
+    }
+    
+    const tx = fx - x0;
+    const ty = fy - y0;
+    const tz = fz - z0;
+    
+    const r = resolution;
+    const r2 = r * r;
+    const i000 = x0 + y0 * r + z0 * r2;
+    const d000 = data[i000];
+    const d100 = data[i000 + 1];
+    const d010 = data[i000 + r];
+    const d110 = data[i000 + r + 1];
+    const d001 = data[i000 + r2];
+    const d101 = data[i000 + r2 + 1];
+    const d011 = data[i000 + r2 + r];
+    const d111 = data[i000 + r2 + r + 1];
+    
+    // Same interpolation as sampleSDF
+    const c00 = d000 * (1 - tx) + d100 * tx;
+    const c10 = d010 * (1 - tx) + d110 * tx;
+    const c01 = d001 * (1 - tx) + d101 * tx;
+    const c11 = d011 * (1 - tx) + d111 * tx;
+    const c0 = c00 * (1 - ty) + c10 * ty;
+    const c1 = c01 * (1 - ty) + c11 * ty;
+    
+    // Partial derivatives of the interpolation, scaled from cell to world units
+    const ex0 = (d100 - d000) * (1 - ty) + (d110 - d010) * ty;
+    const ex1 = (d101 - d001) * (1 - ty) + (d111 - d011) * ty;
+    const dx = (ex0 * (1 - tz) + ex1 * tz) / stepX;
+    const dy = ((c10 - c00) * (1 - tz) + (c11 - c01) * tz) / stepY;
+    const dz = (c1 - c0) / stepZ;
+    
+    const len = Math.sqrt(dx*dx + dy*dy + dz*dz);
+    if (len < 0.001) return;
+    out.x = dx / len;
+    out.y = dy / len;
+    out.z = dz / len;
+}
+
+// Sphere-trace the SDF along a step's motion (dx, dy, dz) from (x, y, z).
+// Returns the fraction of the motion covered before first coming within
+// CONTACT_DISTANCE of the surface, or -1 if the whole segment stays clear.
+// Steps never exceed the distance to the contact band, so thin strokes can't be skipped
+export function sweepSDF(grid, x, y, z, dx, dy, dz) {
+    const length = Math.sqrt(dx*dx + dy*dy + dz*dz);
+    let t = 0;
+    
+    for (let iter = 0; iter < SWEEP_MAX_STEPS; iter++) {
+        const f = length > 0 ? t / length : 0;
+        const dist = sampleSDF(grid, x + dx * f, y + dy * f, z + dz * f);
+        if (dist < CONTACT_DISTANCE) return f;
+        if (t >= length) return -1;
+        const advance = Math.min(Math.max(dist - CONTACT_DISTANCE, SWEEP_MIN_STEP), SWEEP_MAX_STEP);
+        t = Math.min(t + advance, length);
+    }
+    
+    // Out of samples - fall back to testing where the drop ends up
+    return sampleSDF(grid, x + dx, y + dy, z + dz) < CONTACT_DISTANCE ? 1 : -1;
+}
+
+// Shared by both exits from SLIDING
+const START_DRIPPING = `
+                state = DRIPPING;
+                velX *= DRIP_RELEASE_DAMPING;
+                velY = cfg.DRIP_INITIAL_VELOCITY;
+                velZ *= DRIP_RELEASE_DAMPING;`;
+
+/**
+ * The per-step particle rules, written once in the subset of syntax JS and
+ * WGSL share: stepParticle() below and the compute shader in gpu-compute.js
+ * both wrap this text. It works on one particle loaded into locals (posX..velZ,
+ * state, size, stickTime, slideSpeed), with dt, time and cfg (CONFIG.physics
+ * names) in scope, and calls sdfAt/sdfNormalAt/sweepAt/seedAt/rand, which each
+ * side defines. Mutable locals are `var`, float literals keep their `.0`
+ */
+export const PHYSICS_RULES = `
+    let gravity = cfg.DRIP_GRAVITY;
+    
+    // ========== FALLING STATE ==========
+    // Invisible drops flying toward text
+    if (state == FALLING) {
+        let seed = seedAt(posX, posY, posZ);
+        velY += gravity * dt;
+        
+        // Move up to the first contact along this step's motion, so fast
+        // drops can't pass through a letter between two samples
+        let moveX = velX * dt;
+        let moveY = velY * dt;
+        let moveZ = velZ * dt;
+        let hit = sweepAt(posX, posY, posZ, moveX, moveY, moveZ);
+        var travel = 1.0;
+        if (hit >= 0.0) { travel = hit; }
+        
+        posX += moveX * travel;
+        posY += moveY * travel;
+        posZ += moveZ * travel;
+        
+        // Check collision with text surface at the contact point
+        let dist = sdfAt(posX, posY, posZ);
+        
+        if (dist < CONTACT_DISTANCE) {
+            // IMPACT! Get surface normal
+            let normal = sdfNormalAt(posX, posY, posZ);
+            
+            // Collide if:
+            // 1. Hitting FRONT face of text (normal pointing toward camera), or
+            // 2. Drop tunneled inside a letter (negative distance) - the gradient
+            //    of the signed field points back out through the nearest face
+            let isFrontFacing = normal.z > FRONT_FACE_MIN_NZ;
+            let isInside = dist < 0.0;
+            
+            if (isFrontFacing || isInside) {
+                // Push out of surface (further when inside)
+                let push = IMPACT_PUSH_OUT - dist;
+                posX += normal.x * push;
+                posY += normal.y * push;
+                posZ += normal.z * push;
+                
+                // Decide: BOUNCE or STICK?
+                if (rand(seed) < cfg.BOUNCE_CHANCE) {
+                    // BOUNCE - natural water spray physics
+                    let vx = velX;
+                    let vy = velY;
+                    let vz = velZ;
+                    let impactSpeed = sqrt(vx*vx + vy*vy + vz*vz);
+                    let dotVN = vx*normal.x + vy*normal.y + vz*normal.z;
+                    
+                    // Restitution varies with impact angle and speed
+                    let angleInfluence = abs(dotVN) / (impactSpeed + 0.01);
+                    let baseRestitution = cfg.BOUNCE_RESTITUTION_MIN +
+                        rand(seed + 1) * (cfg.BOUNCE_RESTITUTION_MAX - cfg.BOUNCE_RESTITUTION_MIN);
+                    let restitution = baseRestitution * (0.7 + 0.3 * (1.0 - angleInfluence));
+                    
+                    // Reflect with energy loss
+                    var reflX = (vx - 2.0*dotVN*normal.x) * restitution;
+                    var reflY = (vy - 2.0*dotVN*normal.y) * restitution;
+                    var reflZ = (vz - 2.0*dotVN*normal.z) * restitution;
+                    
+                    // Radial spray pattern - scatter perpendicular to impact
+                    let sprayAngle = rand(seed + 10) * 6.283185307179586; // 2*PI
+                    let sprayStrength = impactSpeed * cfg.IMPACT_SPRAY_FACTOR;
+                    
+                    // Create tangent vectors for radial spray
+                    var tangentX = 1.0;
+                    var tangentY = 0.0;
+                    let tangentZ = 0.0;
+                    if (abs(normal.x) > 0.9) { tangentX = 0.0; tangentY = 1.0; }
+                    // Cross product: tangent1 = normal x tangentVec
+                    let t1x = normal.y*tangentZ - normal.z*tangentY;
+                    let t1y = normal.z*tangentX - normal.x*tangentZ;
+                    let t1z = normal.x*tangentY - normal.y*tangentX;
+                    let t1len = sqrt(t1x*t1x + t1y*t1y + t1z*t1z);
+                    let nt1x = t1x/t1len;
+                    let nt1y = t1y/t1len;
+                    let nt1z = t1z/t1len;
+                    // tangent2 = normal x tangent1
+                    let t2x = normal.y*nt1z - normal.z*nt1y;
+                    let t2y = normal.z*nt1x - normal.x*nt1z;
+                    let t2z = normal.x*nt1y - normal.y*nt1x;
+                    
+                    // Apply radial spray
+                    let sprayMult = sprayStrength * (0.5 + rand(seed + 11) * 0.5);
+                    let sprayCos = cos(sprayAngle);
+                    let spraySin = sin(sprayAngle);
+                    reflX += (nt1x * sprayCos + t2x * spraySin) * sprayMult;
+                    reflY += (nt1y * sprayCos + t2y * spraySin) * sprayMult;
+                    reflZ += (nt1z * sprayCos + t2z * spraySin) * sprayMult;
+                    
+                    // Add scatter with more vertical emphasis
+                    let hScatter = cfg.BOUNCE_SCATTER * (0.3 + rand(seed + 2) * 0.7);
+                    let vScatter = cfg.BOUNCE_SCATTER_VERTICAL * (0.4 + rand(seed + 6) * 0.6);
+                    
+                    velX = reflX + (rand(seed + 3) - 0.5) * hScatter * 2.0;
+                    velY = reflY + rand(seed + 4) * vScatter + cfg.SPLASH_UPWARD_BIAS;
+                    velZ = reflZ + (rand(seed + 5) - 0.5) * hScatter;
+                    
+                    state = BOUNCING;
+                    
+                    // Size reduction with mist variation (faster = smaller drops)
+                    let speedFactor = min(impactSpeed / MIST_IMPACT_SPEED, 1.0);
+                    let sizeReduction = max(cfg.BOUNCE_SIZE_REDUCTION - speedFactor * cfg.MIST_SIZE_FACTOR, MIN_BOUNCE_SIZE);
+                    size *= sizeReduction * (0.6 + rand(seed + 7) * 0.6);
+                } else {
+                    // STICK to surface
+                    velX = 0.0;
+                    velY = 0.0;
+                    velZ = 0.0;
+                    state = STUCK;
+                    stickTime = 0.0;
+                }
+            } else {
+                // Grazed a side or back face - finish the step
+                posX += moveX * (1.0 - travel);
+                posY += moveY * (1.0 - travel);
+                posZ += moveZ * (1.0 - travel);
+            }
+        }
+        
+        // Remove if missed text entirely
+        if (posY < cfg.DRIP_REMOVE_Y || posZ < MISSED_TEXT_Z) {
+            state = INACTIVE;
+            size = 0.0;
+        }
+    }
+    
+    // ========== BOUNCING STATE ==========
+    // Drops that bounced off - fall with air drag on horizontal movement
+    else if (state == BOUNCING) {
+        velY += gravity * dt;  // Normal gravity
+        velX *= cfg.BOUNCE_DRAG;  // Air drag on horizontal only
+        velZ *= cfg.BOUNCE_DRAG;
+        
+        posX += velX * dt;
+        posY += velY * dt;
+        posZ += velZ * dt;
+        
+        size *= 1.0 - dt * cfg.DRIP_SHRINK_RATE;
+        
+        if (posY < cfg.DRIP_REMOVE_Y || size < cfg.DRIP_MIN_SIZE) {
+            state = INACTIVE;
+            size = 0.0;
+        }
+    }
+    
+    // ========== STUCK STATE ==========
+    // Drops stuck on letters briefly, then start sliding down
+    else if (state == STUCK) {
+        stickTime += dt;
+        
+        // Subtle jitter for realism
+        posX += sin(time * cfg.STICK_JITTER_SPEED + posY * 3.0) * cfg.STICK_JITTER_AMOUNT;
+        
+        // Wait, then start sliding (staggered by slideSpeed random value)
+        let stickDuration = cfg.STICK_DURATION_MIN +
+            slideSpeed * (cfg.STICK_DURATION_MAX - cfg.STICK_DURATION_MIN);
+        
+        if (stickTime > stickDuration) {
+            state = SLIDING;
+            stickTime = 0.0; // Reused as slide timer
+        }
+    }
+    
+    // ========== SLIDING STATE ==========
+    // Drops run down the letter surface along the SDF tangent, following the contour
+    else if (state == SLIDING) {
+        let normal = sdfNormalAt(posX, posY, posZ);
+        stickTime += dt;
+        
+        // Max slide time then force drip (staggered)
+        let maxSlide = cfg.SLIDE_DURATION_MIN +
+            slideSpeed * (cfg.SLIDE_DURATION_MAX - cfg.SLIDE_DURATION_MIN);
+        
+        // Underside of a stroke or serif - gravity pulls the drop off
+        if (normal.y < UNDERSIDE_NORMAL_Y || stickTime > maxSlide) {${START_DRIPPING}
+        } else {
+            // Gravity projected onto the tangent plane (shorter on flatter faces)
+            let speed = cfg.SLIDE_SPEED_MIN +
+                slideSpeed * (cfg.SLIDE_SPEED_MAX - cfg.SLIDE_SPEED_MIN);
+            
+            velX = normal.x * normal.y * speed;
+            velY = (normal.y * normal.y - 1.0) * speed;
+            velZ = normal.z * normal.y * speed;
+            
+            posX += velX * dt;
+            posY += velY * dt;
+            posZ += velZ * dt;
+            
+            // Check if still on surface
+            let dist = sdfAt(posX, posY, posZ);
+            
+            if (dist > SLIDE_DETACH_DISTANCE) {
+                // Ran off an edge with nothing below - start dripping${START_DRIPPING}
+            } else {
+                // Snap back onto the surface so the drop wraps around bevels and curves
+                let snap = SLIDE_SURFACE_OFFSET - dist;
+                posX += normal.x * snap;
+                posY += normal.y * snap;
+                posZ += normal.z * snap;
+            }
+        }
+    }
+    
+    // ========== DRIPPING STATE ==========
+    // Final fall to bottom of screen
+    else if (state == DRIPPING) {
+        velY += gravity * dt;
+        velX *= DRIP_AIR_DRAG;
+        velZ *= DRIP_AIR_DRAG;
+        
+        posX += velX * dt;
+        posY += velY * dt;
+        posZ += velZ * dt;
+        
+        size *= 1.0 - dt * cfg.DRIP_SHRINK_RATE;
+        
+        if (posY < cfg.DRIP_REMOVE_Y || size < cfg.DRIP_MIN_SIZE) {
+            state = INACTIVE;
+            size = 0.0;
+        }
+    }
+`;
+
+// JS build of PHYSICS_RULES: the helpers the rules call read the step's grid
+// and seed, which the wrapper sets before running them on particle i
+const STEP_PARTICLE_JS = `
+    const { sqrt, abs, min, max, sin, cos } = Math;
+    let stepGrid = null, stepNormal = null, stepSeed = 0, stepNumber = 0;
+    
+    const sdfAt = (x, y, z) => sampleSDF(stepGrid, x, y, z);
+    const sdfNormalAt = (x, y, z) => {
+        sdfGradient(stepGrid, x, y, z, stepNormal);
+        return stepNormal;
+    };
+    const sweepAt = (x, y, z, dx, dy, dz) => sweepSDF(stepGrid, x, y, z, dx, dy, dz);
+    const seedAt = (x, y, z) => particleSeed(stepSeed, stepNumber, x, y, z);
+    
+    return function stepParticle(p, i, ctx) {
+        const dt = ctx.dt;
+        const time = ctx.time;
+        const cfg = ctx.cfg;
+        stepGrid = ctx.grid;
+        stepNormal = ctx.normal;
+        stepSeed = ctx.seed;
+        stepNumber = ctx.step;
+        
+        var posX = p.posX[i], posY = p.posY[i], posZ = p.posZ[i];
+        var velX = p.velX[i], velY = p.velY[i], velZ = p.velZ[i];
+        var state = p.state[i], size = p.size[i], stickTime = p.stickTime[i];
+        let slideSpeed = p.slideSpeed[i];
+        
+        p.prevX[i] = posX;
+        p.prevY[i] = posY;
+        p.prevZ[i] = posZ;
+        ${PHYSICS_RULES}
+        p.posX[i] = posX;
+        p.posY[i] = posY;
+        p.posZ[i] = posZ;
+        p.velX[i] = velX;
+        p.velY[i] = velY;
+        p.velZ[i] = velZ;
+        p.state[i] = state;
+        p.size[i] = size;
+        p.stickTime[i] = stickTime;
+    };
+`;
+
+const RULE_SCOPE = { Math, sampleSDF, sdfGradient, sweepSDF, particleSeed, rand, ...WGSL_U32, ...WGSL_F32 };
+
+/**
+ * Advance particle i by one step. Call only for particles that aren't INACTIVE.
+ * p holds the structure-of-arrays particle data (posX..slideSpeed, prevX..prevZ),
+ * ctx the step: { dt, time, cfg (CONFIG.physics), seed, step, grid, normal (scratch) }
+ * @type {(p: Object, i: number, ctx: Object) => void}
+ */
+export const stepParticle = new Function(...Object.keys(RULE_SCOPE), STEP_PARTICLE_JS)(...Object.values(RULE_SCOPE));
@@ -0,0 +1,441 @@
+/**
+ * Procedural wave
+ * The curling wave mesh, rolled in toward the text over each splash event when
+ * there is no footage to sync to (WAVE_MODE 'procedural'). Its surface is the
+ * curl plus a sum of Gerstner waves laid along it, evaluated the same way in
+ * the vertex shader (with analytic normals and Jacobian foam) and on the CPU,
+ * so spray can leave the lip where and how fast it really moves.
+ */
+
+import * as THREE from 'three';
+import * as CONFIG from './config.js';
+
+const WIDTH_SEGMENTS = 80;
+const HEIGHT_SEGMENTS = 50;
+const WAVE_WIDTH = 35;
+const WAVE_HEIGHT = 8;
+
+// Rough arc length of the curl from trough to lip: the Gerstner waves run over
+// (x, v * SURFACE_LENGTH) so their wavelengths are in scene units
+const SURFACE_LENGTH = 14;
+
+// Ocean spectrum: OCEAN_WAVE_COUNT Gerstner waves, each shorter than the last
+const OCEAN_WAVE_COUNT = 6;
+const WAVELENGTH_FALLOFF = 0.6;
+const WAVE_STEEPNESS = 0.25;  // k * amplitude of every wave
+const OCEAN_GRAVITY = 9.8;    // Deep-water dispersion, omega = sqrt(g * k)
+const DIRECTION_SPREAD = [0, 0.45, -0.35, 0.8, -0.7, 0.2];  // Radians around the wind
+
+// Row (uv.y) of the lip: just past the top, where the water pitches forward
+const LIP_V = 0.5;
+
+// Spray leaves the curl from here to the tip (uv.y), at the surface velocity
+// measured over VELOCITY_DT seconds
+const EMIT_MIN_V = 0.5;
+const VELOCITY_DT = 1 / 240;
+
+// Seconds the wave takes to rise before an event's window and sink after it
+const RISE_TIME = 0.4;
+const SINK_DEPTH = 10;
+
+/**
+ * Curl surface in mesh space, before the ocean waves
+ * u runs along the wave (x), v from the trough (0) over the top into the curl (1)
+ * @param {number} u - 0-1
+ * @param {number} v - 0-1
+ * @param {THREE.Vector3} target
+ * @returns {THREE.Vector3} target
+ */
+function baseSurface(u, v, target) {
+    const angle = v * Math.PI * 1.3;
+    const curlRadius = 2.5 * (0.3 + v * 0.7);
+    const widthVar = Math.sin(u * Math.PI * 4) * 0.3;
+    return target.set(
+        (u - 0.5) * WAVE_WIDTH,
+        Math.sin(angle) * WAVE_HEIGHT * 0.5 + widthVar,
+        -Math.cos(angle) * curlRadius
+    );
+}
+
+// Unit tangents along u and v and the outward normal of baseSurface (analytic derivatives)
+function baseFrame(u, v, tangentU, tangentV, normal) {
+    const angle = v * Math.PI * 1.3;
+    const curlRadius = 2.5 * (0.3 + v * 0.7);
+    tangentU.set(WAVE_WIDTH, 0.3 * Math.PI * 4 * Math.cos(u * Math.PI * 4), 0).normalize();
+    tangentV.set(
+        0,
+        Math.cos(angle) * WAVE_HEIGHT * 0.5 * Math.PI * 1.3,
+        Math.sin(angle) * Math.PI * 1.3 * curlRadius - Math.cos(angle) * 2.5 * 0.7
+    ).normalize();
+    normal.crossVectors(tangentU, tangentV).normalize();
+}
+
+/**
+ * Gerstner waves for a wind (shape: dir.x, dir.s, k, amplitude; motion: omega, Q, phase)
+ * @param {{windSpeed: number, windDirection: number, choppiness: number}} ocean
+ * @param {THREE.Vector4[]} shape
+ * @param {THREE.Vector4[]} motion
+ */
+function buildOceanWaves(ocean, shape, motion) {
+    const direction = THREE.MathUtils.degToRad(ocean.windDirection);
+    let wavelength = Math.max(ocean.windSpeed, 0.1);  // Longest wave grows with the wind
+    for (let i = 0; i < OCEAN_WAVE_COUNT; i++) {
+        const k = 2 * Math.PI / wavelength;
+        const amplitude = WAVE_STEEPNESS / k;
+        // 0 degrees runs up the face toward the lip, 90 along the wave
+        const angle = direction + DIRECTION_SPREAD[i];
+        shape[i].set(Math.sin(angle), Math.cos(angle), k, amplitude);
+        // Q at 1 / (k A N) is the sharpest crest before the surface loops over itself
+        motion[i].set(Math.sqrt(OCEAN_GRAVITY * k), ocean.choppiness / (k * amplitude * OCEAN_WAVE_COUNT), i * 1.7, 0);
+        wavelength *= WAVELENGTH_FALLOFF;
+    }
+}
+
+function createWaveGeometry() {
+    const geometry = new THREE.BufferGeometry();
+    const vertices = [];
+    const normals = [];
+    const tangentsU = [];
+    const tangentsV = [];
+    const uvs = [];
+    const indices = [];
+    const point = new THREE.Vector3();
+    const tangentU = new THREE.Vector3();
+    const tangentV = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+
+    for (let j = 0; j <= HEIGHT_SEGMENTS; j++) {
+        const v = j / HEIGHT_SEGMENTS;
+        for (let i = 0; i <= WIDTH_SEGMENTS; i++) {
+            const u = i / WIDTH_SEGMENTS;
+            baseSurface(u, v, point);
+            baseFrame(u, v, tangentU, tangentV, normal);
+            vertices.push(point.x, point.y, point.z);
+            normals.push(normal.x, normal.y, normal.z);
+            tangentsU.push(tangentU.x, tangentU.y, tangentU.z);
+            tangentsV.push(tangentV.x, tangentV.y, tangentV.z);
+            uvs.push(u, v);
+        }
+    }
+
+    for (let j = 0; j < HEIGHT_SEGMENTS; j++) {
+        for (let i = 0; i < WIDTH_SEGMENTS; i++) {
+            const a = j * (WIDTH_SEGMENTS + 1) + i;
+            const b = a + 1;
+            const c = a + WIDTH_SEGMENTS + 1;
+            const d = c + 1;
+            indices.push(a, c, b, b, c, d);
+        }
+    }
+
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('tangentU', new THREE.Float32BufferAttribute(tangentsU, 3));
+    geometry.setAttribute('tangentV', new THREE.Float32BufferAttribute(tangentsV, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.setIndex(indices);
+    return geometry;
+}
+
+function createWaveMaterial(waveShape, waveMotion) {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            time: { value: 0 },
+            waveShape: { value: waveShape },
+            waveMotion: { value: waveMotion },
+            foamThreshold: { value: CONFIG.OCEAN_FOAM_THRESHOLD }
+        },
+        defines: {
+            OCEAN_WAVE_COUNT,
+            WAVE_WIDTH: WAVE_WIDTH.toFixed(1),
+            SURFACE_LENGTH: SURFACE_LENGTH.toFixed(1)
+        },
+        // Must stay in step with ProceduralWave.surfacePoint()
+        vertexShader: `
+            attribute vec3 tangentU;
+            attribute vec3 tangentV;
+
+            uniform float time;
+            uniform vec4 waveShape[OCEAN_WAVE_COUNT];   // dir.x, dir.s, k, amplitude
+            uniform vec4 waveMotion[OCEAN_WAVE_COUNT];  // omega, Q, phase
+
+            varying vec2 vUv;
+            varying float vCurl;
+            varying vec3 vNormal;
+            varying vec3 vWorldPos;
+            varying float vJacobian;
+
+            void main() {
+                vUv = uv;
+                vCurl = uv.y;
+
+                // Gerstner sum over the surface's own (x, s) coordinates, displaced
+                // along its tangent frame; n and J are the analytic normal and Jacobian
+                vec2 p = vec2((uv.x - 0.5) * WAVE_WIDTH, uv.y * SURFACE_LENGTH);
+                vec3 offset = vec3(0.0);  // along tangentU, tangentV, normal
+                vec3 n = vec3(0.0, 0.0, 1.0);
+                float jxx = 1.0, jss = 1.0, jxs = 0.0;
+                for (int i = 0; i < OCEAN_WAVE_COUNT; i++) {
+                    vec2 d = waveShape[i].xy;
+                    float k = waveShape[i].z;
+                    float a = waveShape[i].w;
+                    float q = waveMotion[i].y;
+                    float theta = k * dot(d, p) - waveMotion[i].x * time + waveMotion[i].z;
+                    float c = cos(theta);
+                    float s = sin(theta);
+
+                    offset += vec3(q * a * d.x * c, q * a * d.y * c, a * s);
+                    n -= vec3(d.x * k * a * c, d.y * k * a * c, q * k * a * s);
+                    jxx -= q * k * a * d.x * d.x * s;
+                    jss -= q * k * a * d.y * d.y * s;
+                    jxs -= q * k * a * d.x * d.y * s;
+                }
+                vJacobian = jxx * jss - jxs * jxs;
+
+                vec3 pos = position + tangentU * offset.x + tangentV * offset.y + normal * offset.z;
+                vec3 objectNormal = tangentU * n.x + tangentV * n.y + normal * n.z;
+
+                vNormal = normalize(normalMatrix * objectNormal);
+                vWorldPos = (modelMatrix * vec4(pos, 1.0)).xyz;
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+            }
+        `,
+        fragmentShader: `
+            uniform float time;
+            uniform float foamThreshold;
+            varying vec2 vUv;
+            varying float vCurl;
+            varying vec3 vNormal;
+            varying vec3 vWorldPos;
+            varying float vJacobian;
+
+            float hash(vec2 p) { return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453); }
+            float noise(vec2 p) {
+                vec2 i = floor(p), f = fract(p);
+                f = f * f * (3.0 - 2.0 * f);
+                return mix(mix(hash(i), hash(i + vec2(1,0)), f.x),
+                           mix(hash(i + vec2(0,1)), hash(i + vec2(1,1)), f.x), f.y);
+            }
+
+            void main() {
+                vec3 n = normalize(vNormal);
+                vec3 v = normalize(cameraPosition - vWorldPos);
+                if (!gl_FrontFacing) n = -n;
+
+                vec3 deep = vec3(0.0, 0.05, 0.15);
+                vec3 mid = vec3(0.02, 0.2, 0.4);
+                vec3 surf = vec3(0.1, 0.45, 0.65);
+                vec3 foam = vec3(0.92, 0.96, 1.0);
+
+                vec3 col = mix(deep, mid, vCurl * 0.5);
+                col = mix(col, surf, vCurl);
+
+                float fresnel = pow(1.0 - max(0.0, dot(n, v)), 4.0);
+                col += surf * fresnel * 0.4;
+
+                vec3 l = normalize(vec3(0.3, 1.0, 0.5));
+                float spec = pow(max(0.0, dot(n, normalize(v + l))), 128.0);
+                col += vec3(1.0) * spec * 0.8;
+
+                // Foam where the surface folds (Jacobian drops toward 0), broken up by noise,
+                // plus white water along the breaking lip
+                float foamNoise = noise(vWorldPos.xy * 8.0 + time * 2.0);
+                float folding = 1.0 - smoothstep(foamThreshold - 0.2, foamThreshold + 0.2, vJacobian);
+                float lipFoam = smoothstep(0.75, 0.98, vCurl) * 0.6;
+                float foamAmt = max(folding, lipFoam) * (0.5 + foamNoise * 0.5);
+                col = mix(col, foam, foamAmt * 0.85);
+
+                float alpha = 0.85 + foamAmt * 0.1;
+                gl_FragColor = vec4(col, alpha);
+            }
+        `,
+        transparent: true,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    });
+}
+
+export class ProceduralWave {
+    /**
+     * @param {{windSpeed: number, windDirection: number, choppiness: number}} ocean
+     */
+    constructor(ocean) {
+        // Shared with the material's uniforms, so setOcean() shows up next frame
+        this.waveShape = Array.from({ length: OCEAN_WAVE_COUNT }, () => new THREE.Vector4());
+        this.waveMotion = Array.from({ length: OCEAN_WAVE_COUNT }, () => new THREE.Vector4());
+        this.setOcean(ocean);
+
+        this.mesh = new THREE.Mesh(createWaveGeometry(), createWaveMaterial(this.waveShape, this.waveMotion));
+        this.mesh.rotation.y = Math.PI; // Curl toward the text (-Z), not the camera
+        this.mesh.visible = false;
+        this.time = 0;
+        this.loopTime = 0;
+        this.textBBox = null;
+        this.event = null; // Splash timeline event being rolled in
+        this.scratch = new THREE.Vector3(); // Scratch vectors for placement(), emit() and writePositions()
+        this.origin = new THREE.Vector3();
+        this.emitPosition = new THREE.Vector3();
+        this.emitAhead = new THREE.Vector3();
+        this.frame = { u: new THREE.Vector3(), v: new THREE.Vector3(), n: new THREE.Vector3() };
+    }
+
+    /**
+     * Rebuild the Gerstner waves for a new wind
+     * @param {{windSpeed: number, windDirection: number, choppiness: number}} ocean
+     *        windSpeed in scene units (longest wavelength), windDirection in degrees
+     *        from straight up the face, choppiness 0 (round swell) to 1 (sharp crests)
+     */
+    setOcean(ocean) {
+        buildOceanWaves(ocean, this.waveShape, this.waveMotion);
+    }
+
+    /**
+     * Displaced surface in mesh space at the current time, the CPU twin of the vertex shader
+     * @param {number} u - 0-1
+     * @param {number} v - 0-1
+     * @param {THREE.Vector3} target
+     * @param {THREE.Vector3} [normal] - Receives the unit surface normal
+     * @param {number} [time] - Surface time, defaults to the last update()
+     * @returns {THREE.Vector3} target
+     */
+    surfacePoint(u, v, target, normal = null, time = this.time) {
+        const frame = this.frame;
+        baseSurface(u, v, target);
+        baseFrame(u, v, frame.u, frame.v, frame.n);
+
+        const px = (u - 0.5) * WAVE_WIDTH;
+        const ps = v * SURFACE_LENGTH;
+        let offsetU = 0, offsetV = 0, offsetN = 0;
+        let normalU = 0, normalV = 0, normalN = 1;
+        for (let i = 0; i < OCEAN_WAVE_COUNT; i++) {
+            const { x: dx, y: ds, z: k, w: a } = this.waveShape[i];
+            const { x: omega, y: q, z: phase } = this.waveMotion[i];
+            const theta = k * (dx * px + ds * ps) - omega * time + phase;
+            const c = Math.cos(theta);
+            const s = Math.sin(theta);
+
+            offsetU += q * a * dx * c;
+            offsetV += q * a * ds * c;
+            offsetN += a * s;
+            normalU -= dx * k * a * c;
+            normalV -= ds * k * a * c;
+            normalN -= q * k * a * s;
+        }
+
+        target.addScaledVector(frame.u, offsetU).addScaledVector(frame.v, offsetV).addScaledVector(frame.n, offsetN);
+        if (normal) {
+            normal.set(0, 0, 0)
+                .addScaledVector(frame.u, normalU)
+                .addScaledVector(frame.v, normalV)
+                .addScaledVector(frame.n, normalN)
+                .normalize();
+        }
+        return target;
+    }
+
+    /**
+     * Displaced vertex positions in mesh space at the last update(), for drawing
+     * the wave outside Three.js (the WebGPU particle overlay's depth pass)
+     * @param {Float32Array} target - 3 floats per vertex of mesh.geometry
+     * @returns {Float32Array} target
+     */
+    writePositions(target) {
+        const uv = this.mesh.geometry.attributes.uv;
+        const point = this.scratch;
+        for (let i = 0; i < uv.count; i++) {
+            this.surfacePoint(uv.getX(i), uv.getY(i), point);
+            point.toArray(target, i * 3);
+        }
+        return target;
+    }
+
+    /**
+     * Place the wave for a moment of the loop: it rises at PROCEDURAL_WAVE_START_Z
+     * as a splash event opens, rolls until the lip reaches the front of the text
+     * when it closes, then sinks away (one event at a time)
+     * @param {number} loopTime - Seconds into the loop (same clock as the video)
+     * @param {number} time - Animation time for the surface motion
+     * @param {THREE.Box3} textBBox
+     * @param {SplashTimeline} timeline
+     */
+    update(loopTime, time, textBBox, timeline) {
+        this.time = time;
+        this.loopTime = loopTime;
+        this.textBBox = textBBox;
+        this.mesh.material.uniforms.time.value = time;
+
+        // An event that is spawning wins over one still rising or sinking
+        this.event = timeline.eventAt(loopTime) ?? timeline.eventAt(loopTime, RISE_TIME);
+        this.mesh.visible = this.event !== null;
+        if (!this.mesh.visible) return;
+
+        this.placement(loopTime, this.mesh.position);
+    }
+
+    // Mesh position at a moment of the loop (see update())
+    placement(loopTime, target) {
+        const hit = this.event.start;
+        const end = this.event.end;
+        const textBBox = this.textBBox;
+
+        // Lip above the letters so spray arcs down onto them, rising in and sinking out
+        const lip = baseSurface(0.5, LIP_V, this.scratch);
+        const rise = Math.min(Math.max((loopTime - (hit - RISE_TIME)) / RISE_TIME, 0), 1);
+        const sink = Math.min(Math.max((loopTime - end) / RISE_TIME, 0), 1);
+        target.y = textBBox.max.y + 2 - lip.y - (1 - rise + sink) * SINK_DEPTH;
+
+        // Lip z runs START_Z -> just in front of the text (mesh is turned, local z flips)
+        const progress = Math.min(Math.max((loopTime - hit) / (end - hit), 0), 1);
+        const lipZ = CONFIG.PROCEDURAL_WAVE_START_Z +
+            (textBBox.max.z + 1 - CONFIG.PROCEDURAL_WAVE_START_Z) * progress;
+        target.z = lipZ + lip.z;
+        target.x = (textBBox.min.x + textBBox.max.x) / 2;
+        return target;
+    }
+
+    // World position of surface point (u, v) at a moment of the loop
+    worldPoint(u, v, loopTime, time, target) {
+        const origin = this.placement(loopTime, this.origin);
+        this.surfacePoint(u, v, target, null, time);
+        // Turned mesh: world = origin + (-x, y, -z)
+        return target.set(origin.x - target.x, origin.y + target.y, origin.z - target.z);
+    }
+
+    /**
+     * Sample a spray drop on the curling lip: a random displaced vertex with
+     * uv.y >= EMIT_MIN_V in the columns in front of the text (or the event's
+     * target region), moving with the surface there (the wave's roll plus the
+     * Gerstner motion)
+     * @param {function(): number} random
+     * @param {{x: number, y: number, z: number}} position - World position
+     * @param {{x: number, y: number, z: number}} velocity - World velocity
+     * @param {{minX: number, maxX: number}} [region] - Default: the whole text
+     */
+    emit(random, position, velocity, region = null) {
+        const minX = region ? region.minX : this.textBBox.min.x;
+        const maxX = region ? region.maxX : this.textBBox.max.x;
+        const width = (maxX - minX) * 1.2;
+        const x = (minX + maxX) / 2 + (random() - 0.5) * width;
+
+        const column = Math.round((0.5 - (x - this.mesh.position.x) / WAVE_WIDTH) * WIDTH_SEGMENTS);
+        const minRow = Math.ceil(EMIT_MIN_V * HEIGHT_SEGMENTS);
+        const row = minRow + Math.floor(random() * (HEIGHT_SEGMENTS - minRow + 1));
+        const u = Math.min(Math.max(column, 0), WIDTH_SEGMENTS) / WIDTH_SEGMENTS;
+        const v = Math.min(row, HEIGHT_SEGMENTS) / HEIGHT_SEGMENTS;
+
+        const p = this.worldPoint(u, v, this.loopTime, this.time, this.emitPosition);
+        const ahead = this.worldPoint(u, v, this.loopTime + VELOCITY_DT, this.time + VELOCITY_DT, this.emitAhead);
+
+        position.x = p.x;
+        position.y = p.y;
+        position.z = p.z;
+        velocity.x = (ahead.x - p.x) / VELOCITY_DT;
+        velocity.y = (ahead.y - p.y) / VELOCITY_DT;
+        velocity.z = (ahead.z - p.z) / VELOCITY_DT;
+    }
+
+    dispose() {
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+    }
+}
@@ -0,0 +1,72 @@
+/**
+ * Seedable random numbers for reproducible splashes
+ * Spawning draws from a sequential generator, physics hashes each particle's
+ * (seed, step, position) so results don't depend on slot or thread order.
+ * The WGSL in gpu-compute.js duplicates the hash - keep the two in sync.
+ */
+
+/**
+ * Sequential generator (mulberry32), returns floats in [0, 1) like Math.random
+ */
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return function random() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Fresh seed for unseeded runs
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Parse a seed from user input (URL param, config). Returns null for "no seed"
+ */
+export function parseSeed(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const seed = Number(value);
+    if (!Number.isInteger(seed)) {
+        console.warn('Ignoring invalid simulation seed:', value);
+        return null;
+    }
+    return seed >>> 0;
+}
+
+// Same integer hash as the WGSL rand()
+function hashU32(s) {
+    s = (s ^ (s >>> 13)) >>> 0;
+    s = Math.imul(s, 0x5bd1e995) >>> 0;
+    return (s ^ (s >>> 15)) >>> 0;
+}
+
+const floatView = new Float32Array(1);
+const floatBits = new Uint32Array(floatView.buffer);
+
+function bitsOf(value) {
+    floatView[0] = value;
+    return floatBits[0];
+}
+
+/**
+ * Per-particle seed for one physics step, from its position at the start of the step
+ */
+export function particleSeed(seed, step, x, y, z) {
+    let h = (seed ^ Math.imul(step, 0x9E3779B9)) >>> 0;
+    h = hashU32(h ^ bitsOf(x));
+    h = hashU32(h ^ bitsOf(y));
+    h = hashU32(h ^ bitsOf(z));
+    return h;
+}
+
+/**
+ * Float in [0, 1] from a particle seed (call with seed + n for the nth draw)
+ */
+export function rand(seed) {
+    return (hashU32(seed >>> 0) & 0x7FFFFFFF) / 0x7FFFFFFF;
+}
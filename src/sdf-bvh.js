@@ -0,0 +1,376 @@
+/**
+ * BVH-accelerated SDF generation
+ * Plain module with no DOM or worker globals: sdf-worker.js and the parallel
+ * sdf-worker-slice.js run it off the main thread in the browser,
+ * scripts/simulate.js runs it directly in Node
+ * Signed output: negative inside the text (ray winding number per column)
+ */
+
+// ============================================
+// BVH (Bounding Volume Hierarchy) for O(log n) triangle lookup
+// ============================================
+class BVHNode {
+    constructor() {
+        this.minX = Infinity; this.minY = Infinity; this.minZ = Infinity;
+        this.maxX = -Infinity; this.maxY = -Infinity; this.maxZ = -Infinity;
+        this.left = null;
+        this.right = null;
+        this.triangles = null; // Leaf nodes store triangles
+    }
+}
+
+function buildBVH(triangles, depth = 0, maxDepth = 12, minTris = 4) {
+    const node = new BVHNode();
+    
+    // Compute bounding box for all triangles
+    for (const tri of triangles) {
+        node.minX = Math.min(node.minX, tri.ax, tri.bx, tri.cx);
+        node.minY = Math.min(node.minY, tri.ay, tri.by, tri.cy);
+        node.minZ = Math.min(node.minZ, tri.az, tri.bz, tri.cz);
+        node.maxX = Math.max(node.maxX, tri.ax, tri.bx, tri.cx);
+        node.maxY = Math.max(node.maxY, tri.ay, tri.by, tri.cy);
+        node.maxZ = Math.max(node.maxZ, tri.az, tri.bz, tri.cz);
+    }
+    
+    // Leaf node if few triangles or max depth reached
+    if (triangles.length <= minTris || depth >= maxDepth) {
+        node.triangles = triangles;
+        return node;
+    }
+    
+    // Find longest axis to split
+    const sizeX = node.maxX - node.minX;
+    const sizeY = node.maxY - node.minY;
+    const sizeZ = node.maxZ - node.minZ;
+    
+    let axis, getCoord;
+    if (sizeX >= sizeY && sizeX >= sizeZ) {
+        axis = 'x';
+        getCoord = t => (t.ax + t.bx + t.cx) / 3;
+    } else if (sizeY >= sizeZ) {
+        axis = 'y';
+        getCoord = t => (t.ay + t.by + t.cy) / 3;
+    } else {
+        axis = 'z';
+        getCoord = t => (t.az + t.bz + t.cz) / 3;
+    }
+    
+    // Sort and split at median
+    triangles.sort((a, b) => getCoord(a) - getCoord(b));
+    const mid = Math.floor(triangles.length / 2);
+    
+    const leftTris = triangles.slice(0, mid);
+    const rightTris = triangles.slice(mid);
+    
+    if (leftTris.length > 0 && rightTris.length > 0) {
+        node.left = buildBVH(leftTris, depth + 1, maxDepth, minTris);
+        node.right = buildBVH(rightTris, depth + 1, maxDepth, minTris);
+    } else {
+        node.triangles = triangles;
+    }
+    
+    return node;
+}
+
+// Distance from point to AABB (for BVH traversal)
+function pointToAABBDist(px, py, pz, node) {
+    let dx = 0, dy = 0, dz = 0;
+    
+    if (px < node.minX) dx = node.minX - px;
+    else if (px > node.maxX) dx = px - node.maxX;
+    
+    if (py < node.minY) dy = node.minY - py;
+    else if (py > node.maxY) dy = py - node.maxY;
+    
+    if (pz < node.minZ) dz = node.minZ - pz;
+    else if (pz > node.maxZ) dz = pz - node.maxZ;
+    
+    return Math.sqrt(dx*dx + dy*dy + dz*dz);
+}
+
+// Find minimum distance using BVH
+function queryBVH(node, px, py, pz, bestDist) {
+    if (!node) return bestDist;
+    
+    // Skip if AABB is further than current best
+    const aabbDist = pointToAABBDist(px, py, pz, node);
+    if (aabbDist >= bestDist) return bestDist;
+    
+    // Leaf node - check all triangles
+    if (node.triangles) {
+        for (const tri of node.triangles) {
+            const d = pointToTriangleDist(px, py, pz, tri);
+            if (d < bestDist) bestDist = d;
+        }
+        return bestDist;
+    }
+    
+    // Interior node - traverse children (closer child first)
+    const leftDist = node.left ? pointToAABBDist(px, py, pz, node.left) : Infinity;
+    const rightDist = node.right ? pointToAABBDist(px, py, pz, node.right) : Infinity;
+    
+    if (leftDist < rightDist) {
+        bestDist = queryBVH(node.left, px, py, pz, bestDist);
+        bestDist = queryBVH(node.right, px, py, pz, bestDist);
+    } else {
+        bestDist = queryBVH(node.right, px, py, pz, bestDist);
+        bestDist = queryBVH(node.left, px, py, pz, bestDist);
+    }
+    
+    return bestDist;
+}
+
+// ============================================
+// Inside/outside classification (ray winding number)
+// ============================================
+// Cast a +Z ray up every (x, y) column and record where it crosses the mesh,
+// tagged with the crossing orientation. A voxel is inside the text when the
+// crossings below it don't cancel out. Stored flat as [z, sign, z, sign, ...].
+function buildColumnCrossings(triangles, bbox, resolution, stepX, stepY) {
+    const columns = new Array(resolution * resolution);
+    
+    for (const tri of triangles) {
+        // Extrusion walls are edge-on, skip them
+        const area = projectedArea(tri);
+        if (Math.abs(area) < 1e-12) continue;
+        
+        // Only visit the columns under this triangle's footprint
+        const x0 = Math.max(0, Math.ceil((Math.min(tri.ax, tri.bx, tri.cx) - bbox.min.x) / stepX - 0.5));
+        const x1 = Math.min(resolution - 1, Math.floor((Math.max(tri.ax, tri.bx, tri.cx) - bbox.min.x) / stepX - 0.5));
+        const y0 = Math.max(0, Math.ceil((Math.min(tri.ay, tri.by, tri.cy) - bbox.min.y) / stepY - 0.5));
+        const y1 = Math.min(resolution - 1, Math.floor((Math.max(tri.ay, tri.by, tri.cy) - bbox.min.y) / stepY - 0.5));
+        
+        for (let y = y0; y <= y1; y++) {
+            const py = bbox.min.y + (y + 0.5) * stepY;
+            for (let x = x0; x <= x1; x++) {
+                const px = bbox.min.x + (x + 0.5) * stepX;
+                const z = rayTriangleZ(px, py, tri, area);
+                if (z === null) continue;
+                
+                const col = x + y * resolution;
+                if (!columns[col]) columns[col] = [];
+                columns[col].push(z, area > 0 ? 1 : -1);
+            }
+        }
+    }
+    
+    return columns;
+}
+
+// Signed (doubled) area of a triangle's XY projection: > 0 counter-clockwise
+// seen from +Z, 0 for the edge-on extrusion walls
+export function projectedArea(tri) {
+    return (tri.bx - tri.ax) * (tri.cy - tri.ay) - (tri.by - tri.ay) * (tri.cx - tri.ax);
+}
+
+// Half-open edge rule: a point exactly on an edge belongs to one side only.
+// w is the edge function, (ex, ey) the edge direction, both flipped to
+// counter-clockwise; the same edge walked the other way (the neighbor across
+// a seam) gets the opposite answer, so shared edges are never counted twice
+function edgeCovers(w, ex, ey) {
+    return w > 0 || (w === 0 && (ey > 0 || (ey === 0 && ex < 0)));
+}
+
+/**
+ * Z where the vertical line through (px, py) meets the triangle, or null if it misses
+ * The one ray test every CPU generator uses; the WGSL in sdf-gpu.js mirrors it
+ * @param {number} px
+ * @param {number} py
+ * @param {Object} tri - { ax, ay, az, bx, ... }
+ * @param {number} area - projectedArea(tri), non-zero
+ * @returns {number|null}
+ */
+export function rayTriangleZ(px, py, tri, area) {
+    // Edge functions (barycentric weights scaled by area)
+    const wa = (tri.cx - tri.bx) * (py - tri.by) - (tri.cy - tri.by) * (px - tri.bx);
+    const wb = (tri.ax - tri.cx) * (py - tri.cy) - (tri.ay - tri.cy) * (px - tri.cx);
+    const wc = (tri.bx - tri.ax) * (py - tri.ay) - (tri.by - tri.ay) * (px - tri.ax);
+    
+    const s = area > 0 ? 1 : -1;
+    if (!edgeCovers(s * wa, s * (tri.cx - tri.bx), s * (tri.cy - tri.by)) ||
+        !edgeCovers(s * wb, s * (tri.ax - tri.cx), s * (tri.ay - tri.cy)) ||
+        !edgeCovers(s * wc, s * (tri.bx - tri.ax), s * (tri.by - tri.ay))) return null;
+    
+    return (wa * tri.az + wb * tri.bz + wc * tri.cz) / area;
+}
+
+/**
+ * Orientation (+1/-1) of the triangle if a +Z ray ending at the point crosses it, else 0
+ * Summed over the mesh this is the winding number: non-zero means inside
+ */
+export function rayCrossingSign(px, py, pz, tri) {
+    const area = projectedArea(tri);
+    if (Math.abs(area) < 1e-12) return 0;
+    
+    const z = rayTriangleZ(px, py, tri, area);
+    if (z === null || z >= pz) return 0;
+    
+    return area > 0 ? 1 : -1;
+}
+
+// Winding number of a column at height pz (non-zero = inside)
+function windingAt(crossings, pz) {
+    if (!crossings) return 0;
+    let winding = 0;
+    for (let i = 0; i < crossings.length; i += 2) {
+        if (crossings[i] < pz) winding += crossings[i + 1];
+    }
+    return winding;
+}
+
+// ============================================
+// Point-to-triangle distance
+// ============================================
+export function pointToTriangleDist(px, py, pz, tri) {
+    const abx = tri.bx - tri.ax, aby = tri.by - tri.ay, abz = tri.bz - tri.az;
+    const acx = tri.cx - tri.ax, acy = tri.cy - tri.ay, acz = tri.cz - tri.az;
+    const apx = px - tri.ax, apy = py - tri.ay, apz = pz - tri.az;
+    
+    const d1 = abx*apx + aby*apy + abz*apz;
+    const d2 = acx*apx + acy*apy + acz*apz;
+    
+    if (d1 <= 0 && d2 <= 0) {
+        return Math.sqrt(apx*apx + apy*apy + apz*apz);
+    }
+    
+    const bpx = px - tri.bx, bpy = py - tri.by, bpz = pz - tri.bz;
+    const d3 = abx*bpx + aby*bpy + abz*bpz;
+    const d4 = acx*bpx + acy*bpy + acz*bpz;
+    
+    if (d3 >= 0 && d4 <= d3) {
+        return Math.sqrt(bpx*bpx + bpy*bpy + bpz*bpz);
+    }
+    
+    const vc = d1*d4 - d3*d2;
+    if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+        const v = d1 / (d1 - d3);
+        const closestX = tri.ax + abx * v;
+        const closestY = tri.ay + aby * v;
+        const closestZ = tri.az + abz * v;
+        const dx = px - closestX, dy = py - closestY, dz = pz - closestZ;
+        return Math.sqrt(dx*dx + dy*dy + dz*dz);
+    }
+    
+    const cpx = px - tri.cx, cpy = py - tri.cy, cpz = pz - tri.cz;
+    const d5 = abx*cpx + aby*cpy + abz*cpz;
+    const d6 = acx*cpx + acy*cpy + acz*cpz;
+    
+    if (d6 >= 0 && d5 <= d6) {
+        return Math.sqrt(cpx*cpx + cpy*cpy + cpz*cpz);
+    }
+    
+    const vb = d5*d2 - d1*d6;
+    if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+        const w = d2 / (d2 - d6);
+        const closestX = tri.ax + acx * w;
+        const closestY = tri.ay + acy * w;
+        const closestZ = tri.az + acz * w;
+        const dx = px - closestX, dy = py - closestY, dz = pz - closestZ;
+        return Math.sqrt(dx*dx + dy*dy + dz*dz);
+    }
+    
+    const va = d3*d6 - d5*d4;
+    if (va <= 0 && (d4 - d3) >= 0 && (d5 - d6) >= 0) {
+        const w = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+        const closestX = tri.bx + (tri.cx - tri.bx) * w;
+        const closestY = tri.by + (tri.cy - tri.by) * w;
+        const closestZ = tri.bz + (tri.cz - tri.bz) * w;
+        const dx = px - closestX, dy = py - closestY, dz = pz - closestZ;
+        return Math.sqrt(dx*dx + dy*dy + dz*dz);
+    }
+    
+    const denom = 1 / (va + vb + vc);
+    const v = vb * denom;
+    const w = vc * denom;
+    const closestX = tri.ax + abx * v + acx * w;
+    const closestY = tri.ay + aby * v + acy * w;
+    const closestZ = tri.az + abz * v + acz * w;
+    const dx = px - closestX, dy = py - closestY, dz = pz - closestZ;
+    return Math.sqrt(dx*dx + dy*dy + dz*dz);
+}
+
+/**
+ * Signed distances for Z slices [zStart, zEnd) of the bbox grid
+ * The whole-grid generator and the parallel slice workers (sdf-worker-slice.js)
+ * both run this, so every CPU path computes the same field
+ * @param {Array} triangles - From extractTriangles()
+ * @param {{min: {x, y, z}, max: {x, y, z}}} bbox
+ * @param {number} resolution - Voxels per axis
+ * @param {number} zStart
+ * @param {number} zEnd
+ * @param {function(number)} [onSlice] - Called with z after each slice
+ * @returns {Float32Array} (zEnd - zStart) slices of resolution² voxels
+ */
+export function generateSDFSlices(triangles, bbox, resolution, zStart, zEnd, onSlice) {
+    const stepX = (bbox.max.x - bbox.min.x) / resolution;
+    const stepY = (bbox.max.y - bbox.min.y) / resolution;
+    const stepZ = (bbox.max.z - bbox.min.z) / resolution;
+    
+    // Build BVH for O(log n) triangle lookups
+    console.log(`Building BVH for ${triangles.length} triangles...`);
+    const bvhStart = performance.now();
+    const bvh = buildBVH([...triangles]); // Copy array since buildBVH sorts
+    console.log(`BVH built in ${(performance.now() - bvhStart).toFixed(0)}ms`);
+    
+    // Ray crossings run along Z, so every slice range needs the full columns
+    const columns = buildColumnCrossings(triangles, bbox, resolution, stepX, stepY);
+    
+    const sliceSize = resolution * resolution;
+    const data = new Float32Array((zEnd - zStart) * sliceSize);
+    
+    for (let z = zStart; z < zEnd; z++) {
+        const pz = bbox.min.z + (z + 0.5) * stepZ;
+        const zOffset = (z - zStart) * sliceSize;
+        
+        for (let y = 0; y < resolution; y++) {
+            const py = bbox.min.y + (y + 0.5) * stepY;
+            const yOffset = y * resolution;
+            
+            for (let x = 0; x < resolution; x++) {
+                const px = bbox.min.x + (x + 0.5) * stepX;
+                
+                // Use BVH for fast distance query, the column crossings for the sign
+                const minDist = queryBVH(bvh, px, py, pz, Infinity);
+                const inside = windingAt(columns[yOffset + x], pz) !== 0;
+                data[zOffset + yOffset + x] = inside ? -minDist : minDist;
+            }
+        }
+        
+        if (onSlice) onSlice(z);
+    }
+    
+    return data;
+}
+
+/**
+ * Signed distance for every voxel of the bbox grid
+ * @param {Array} triangles - From extractTriangles()
+ * @param {{min: {x, y, z}, max: {x, y, z}}} bbox
+ * @param {number} resolution - Voxels per axis
+ * @param {function(number)} [onProgress] - Called with 0-100 every 5%
+ */
+export function generateSDFBVH(triangles, bbox, resolution, onProgress) {
+    const size = {
+        x: bbox.max.x - bbox.min.x,
+        y: bbox.max.y - bbox.min.y,
+        z: bbox.max.z - bbox.min.z
+    };
+    
+    let lastProgress = 0;
+    const data = generateSDFSlices(triangles, bbox, resolution, 0, resolution, (z) => {
+        // Report progress per Z slice
+        const progress = Math.floor(((z + 1) / resolution) * 100);
+        if (progress >= lastProgress + 5) {
+            lastProgress = progress;
+            if (onProgress) onProgress(progress);
+        }
+    });
+    
+    return {
+        data,
+        size,
+        stepX: size.x / resolution,
+        stepY: size.y / resolution,
+        stepZ: size.z / resolution
+    };
+}
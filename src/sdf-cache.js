@@ -6,7 +6,7 @@
 const DB_NAME = 'sdf-cache';
 const DB_VERSION = 2; // Increment to invalidate old caches
 const STORE_NAME = 'sdf-data';
-const CACHE_FORMAT_VERSION = 2; // Bump when SDF format changes
+const CACHE_FORMAT_VERSION = 4; // Bump when SDF format changes (v3: signed distances, v4: seam-safe sign)
 
 let db = null;
 
@@ -95,7 +95,8 @@ export async function getCachedSDF(cacheKey) {
                         resolution: result.resolution,
                         stepX: result.stepX,
                         stepY: result.stepY,
-                        stepZ: result.stepZ
+                        stepZ: result.stepZ,
+                        triangleCount: result.triangleCount
                     };
                     console.log('SDF loaded from cache');
                     resolve(sdfData);
@@ -136,6 +137,7 @@ export async function cacheSDF(cacheKey, sdfData) {
                 stepX: sdfData.stepX,
                 stepY: sdfData.stepY,
                 stepZ: sdfData.stepZ,
+                triangleCount: sdfData.triangleCount,
                 timestamp: Date.now()
             };
             
@@ -1,6 +1,7 @@
 /**
  * WebGPU Compute Shader for SDF Generation
  * Massively parallel - 10-50x faster than CPU
+ * Signed output: negative inside the text (ray winding number per voxel)
  */
 
 const SDF_COMPUTE_SHADER = /* wgsl */`
@@ -87,6 +88,36 @@ const SDF_COMPUTE_SHADER = /* wgsl */`
         return sqrt(dx*dx + dy*dy + dz*dz);
     }
     
+    // Half-open edge rule, as edgeCovers() in sdf-bvh.js: a point exactly on an
+    // edge shared by two triangles counts for one of them only
+    fn edgeCovers(w: f32, ex: f32, ey: f32) -> bool {
+        return w > 0.0 || (w == 0.0 && (ey > 0.0 || (ey == 0.0 && ex < 0.0)));
+    }
+    
+    // Orientation (+1/-1) of the triangle if a +Z ray ending at p crosses it, else 0.
+    // Summed over the mesh this is the winding number: non-zero means inside.
+    // Same test as rayCrossingSign() in sdf-bvh.js
+    fn rayCrossingSign(px: f32, py: f32, pz: f32, tri: Triangle) -> i32 {
+        // Signed (doubled) area of the XY projection - extrusion walls are edge-on
+        let area = (tri.bx - tri.ax) * (tri.cy - tri.ay) - (tri.by - tri.ay) * (tri.cx - tri.ax);
+        if (abs(area) < 1e-12) { return 0; }
+        
+        // Edge functions (barycentric weights scaled by area)
+        let wa = (tri.cx - tri.bx) * (py - tri.by) - (tri.cy - tri.by) * (px - tri.bx);
+        let wb = (tri.ax - tri.cx) * (py - tri.cy) - (tri.ay - tri.cy) * (px - tri.cx);
+        let wc = (tri.bx - tri.ax) * (py - tri.ay) - (tri.by - tri.ay) * (px - tri.ax);
+        
+        let s = select(-1.0, 1.0, area > 0.0);
+        if (!edgeCovers(s * wa, s * (tri.cx - tri.bx), s * (tri.cy - tri.by)) ||
+            !edgeCovers(s * wb, s * (tri.ax - tri.cx), s * (tri.ay - tri.cy)) ||
+            !edgeCovers(s * wc, s * (tri.bx - tri.ax), s * (tri.by - tri.ay))) { return 0; }
+        
+        let z = (wa * tri.az + wb * tri.bz + wc * tri.cz) / area;
+        if (z >= pz) { return 0; }
+        
+        return select(-1, 1, area > 0.0);
+    }
+    
     @compute @workgroup_size(8, 8, 8)
     fn main(@builtin(global_invocation_id) id: vec3u) {
         let res = u32(config.resolution);
@@ -97,15 +128,19 @@ const SDF_COMPUTE_SHADER = /* wgsl */`
         let pz = config.minZ + (f32(id.z) + 0.5) * config.stepZ;
         
         var minDist: f32 = 1000000.0;
+        var winding: i32 = 0;
         let triCount = u32(config.triangleCount);
         
         for (var t: u32 = 0u; t < triCount; t = t + 1u) {
-            let dist = pointToTriangleDist(px, py, pz, triangles[t]);
+            let tri = triangles[t];
+            let dist = pointToTriangleDist(px, py, pz, tri);
             minDist = min(minDist, dist);
+            winding = winding + rayCrossingSign(px, py, pz, tri);
         }
         
+        // Negative inside the text
         let idx = id.x + id.y * res + id.z * res * res;
-        sdfData[idx] = minDist;
+        sdfData[idx] = select(minDist, -minDist, winding != 0);
     }
 `;
 
@@ -151,9 +186,11 @@ async function initWebGPU() {
 
 /**
  * Generate SDF using WebGPU compute shader
+ * Aborting the signal unmaps and frees the buffers and rejects with signal.reason
  */
-export async function generateSDFWebGPU(triangles, bbox, resolution, onProgress) {
+export async function generateSDFWebGPU(triangles, bbox, resolution, onProgress, signal = null) {
     if (!await initWebGPU()) return null;
+    if (signal) signal.throwIfAborted();
     
     const startTime = performance.now();
     if (onProgress) onProgress(5);
@@ -239,16 +276,24 @@ export async function generateSDFWebGPU(triangles, bbox, resolution, onProgress)
     
     if (onProgress) onProgress(70);
     
-    // Read back result
-    await stagingBuffer.mapAsync(GPUMapMode.READ);
-    const resultData = new Float32Array(stagingBuffer.getMappedRange().slice(0));
-    stagingBuffer.unmap();
-    
-    // Cleanup
-    sdfBuffer.destroy();
-    triangleBuffer.destroy();
-    configBuffer.destroy();
-    stagingBuffer.destroy();
+    // Read back result - destroying the staging buffer rejects a pending map
+    const cancel = () => stagingBuffer.destroy();
+    if (signal) signal.addEventListener('abort', cancel, { once: true });
+    let resultData;
+    try {
+        await stagingBuffer.mapAsync(GPUMapMode.READ);
+        resultData = new Float32Array(stagingBuffer.getMappedRange().slice(0));
+        stagingBuffer.unmap();
+    } finally {
+        if (signal) signal.removeEventListener('abort', cancel);
+        
+        // Cleanup
+        sdfBuffer.destroy();
+        triangleBuffer.destroy();
+        configBuffer.destroy();
+        stagingBuffer.destroy();
+    }
+    if (signal) signal.throwIfAborted();
     
     if (onProgress) onProgress(100);
     
@@ -262,7 +307,8 @@ export async function generateSDFWebGPU(triangles, bbox, resolution, onProgress)
         resolution,
         stepX,
         stepY,
-        stepZ
+        stepZ,
+        triangleCount: triangles.length
     };
 }
 
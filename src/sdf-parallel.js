@@ -5,8 +5,11 @@
 
 /**
  * Generate SDF using multiple workers in parallel
+ * Aborting the signal terminates every worker and rejects with signal.reason
  */
-export async function generateSDFParallel(triangles, bbox, resolution, onProgress, workerCount = null) {
+export async function generateSDFParallel(triangles, bbox, resolution, onProgress, workerCount = null, signal = null) {
+    if (signal) signal.throwIfAborted();
+    
     // Default to available cores (max 8)
     const numWorkers = workerCount || Math.min(navigator.hardwareConcurrency || 4, 8);
     
@@ -39,7 +42,7 @@ export async function generateSDFParallel(triangles, bbox, resolution, onProgres
         
         if (zStart >= resolution) break;
         
-        const worker = new Worker(new URL('./sdf-worker-slice.js', import.meta.url));
+        const worker = new Worker(new URL('./sdf-worker-slice.js', import.meta.url), { type: 'module' });
         workers.push(worker);
         
         const promise = new Promise((resolve, reject) => {
@@ -75,17 +78,25 @@ export async function generateSDFParallel(triangles, bbox, resolution, onProgres
             },
             resolution,
             zStart,
-            zEnd,
-            stepX,
-            stepY,
-            stepZ
+            zEnd
         });
         
         promises.push(promise);
     }
     
-    // Wait for all workers to complete
-    await Promise.all(promises);
+    // Wait for all workers to complete (or the caller to give up)
+    let cancel = null;
+    const aborted = new Promise((resolve, reject) => {
+        cancel = () => reject(signal.reason);
+    });
+    if (signal) signal.addEventListener('abort', cancel, { once: true });
+    try {
+        await Promise.race([Promise.all(promises), aborted]);
+    } finally {
+        if (signal) signal.removeEventListener('abort', cancel);
+        // No-op for finished workers, stops the rest after an abort or error
+        workers.forEach(w => w.terminate());
+    }
     
     if (onProgress) onProgress(95);
     
@@ -117,6 +128,7 @@ export async function generateSDFParallel(triangles, bbox, resolution, onProgres
         resolution,
         stepX,
         stepY,
-        stepZ
+        stepZ,
+        triangleCount: triangles.length
     };
 }
@@ -0,0 +1,172 @@
+/**
+ * Splash timeline
+ * The wave hits in one loop of the footage, each with its own window, spawn
+ * rate, direction, spread and part of the text. Plain data, so it comes from
+ * config.js or a JSON file and runs the same in main-gpu.js and the headless
+ * simulation (scripts/simulate.js).
+ */
+
+import * as CONFIG from './config.js';
+
+/**
+ * Fill in an event's defaults
+ * @param {Object} event - { start, end, spawnRate?, direction?, spread?, target? } (see SPLASH_EVENTS)
+ * @returns {Object|null} The event with every field set, or null if it is unusable
+ */
+export function normalizeSplashEvent(event) {
+    const start = Number(event && event.start);
+    const end = Number(event && event.end);
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+        console.warn('Ignoring splash event without a valid start < end:', event);
+        return null;
+    }
+
+    const direction = event.direction ?? [0, 0, -1];
+    const [dx, dy, dz] = Array.isArray(direction) ? direction : [];
+    const length = Math.hypot(dx, dy, dz);
+    if (!(length > 0)) {
+        console.warn('Ignoring splash event with a zero or invalid direction:', event);
+        return null;
+    }
+
+    const spawnRate = event.spawnRate ?? CONFIG.SPAWN_RATE;
+    const spread = event.spread ?? CONFIG.SPLASH_SPREAD_XY;
+    if (!isNonNegative(spawnRate) || !isNonNegative(spread)) {
+        console.warn('Ignoring splash event with an invalid spawnRate or spread:', event);
+        return null;
+    }
+
+    let target = null;
+    if (event.target) {
+        const x = targetRange(event.target.x);
+        const y = targetRange(event.target.y);
+        if (!x || !y) {
+            console.warn('Ignoring splash event with an invalid target (expected [from, to] pairs):', event);
+            return null;
+        }
+        target = { x, y };
+    }
+
+    return {
+        start,
+        end,
+        spawnRate,
+        direction: { x: dx / length, y: dy / length, z: dz / length },
+        spread,
+        target
+    };
+}
+
+function isNonNegative(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Ordered [from, to] fractions of the text, clamped to 0-1 (all of it when unset)
+function targetRange(range) {
+    if (range === undefined) return [0, 1];
+    if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isFinite)) return null;
+    const clamp01 = (value) => Math.min(Math.max(value, 0), 1);
+    const [a, b] = range.map(clamp01);
+    return [Math.min(a, b), Math.max(a, b)];
+}
+
+/**
+ * World-space box of the text an event aims at (all of it without a target)
+ * @param {Object} event - Normalized event
+ * @param {THREE.Box3} textBBox
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number}}
+ */
+export function splashTargetRegion(event, textBBox) {
+    if (!event || !event.target) {
+        return { minX: textBBox.min.x, maxX: textBBox.max.x, minY: textBBox.min.y, maxY: textBBox.max.y };
+    }
+    const width = textBBox.max.x - textBBox.min.x;
+    const height = textBBox.max.y - textBBox.min.y;
+    const { x, y } = event.target;
+    return {
+        minX: textBBox.min.x + x[0] * width,
+        maxX: textBBox.min.x + x[1] * width,
+        minY: textBBox.min.y + y[0] * height,
+        maxY: textBBox.min.y + y[1] * height
+    };
+}
+
+export class SplashTimeline {
+    /**
+     * @param {Object[]} events - Raw events (see SPLASH_EVENTS)
+     * @param {number} [loopDuration] - Seconds in one loop of the footage
+     */
+    constructor(events = CONFIG.SPLASH_EVENTS, loopDuration = CONFIG.VIDEO_LOOP_DURATION) {
+        this.events = events.map(normalizeSplashEvent).filter(Boolean).sort((a, b) => a.start - b.start);
+        this.loopDuration = loopDuration;
+        if (!(loopDuration > 0)) {
+            console.warn('Invalid splash timeline loopDuration, using VIDEO_LOOP_DURATION:', loopDuration);
+            this.loopDuration = CONFIG.VIDEO_LOOP_DURATION;
+        }
+        if (this.events.length === 0) console.warn('Splash timeline has no events, nothing will spawn');
+    }
+
+    /**
+     * Build from parsed JSON: an array of events or { loopDuration, events }
+     * @param {Object|Object[]} json
+     * @returns {SplashTimeline}
+     */
+    static fromJSON(json) {
+        if (Array.isArray(json)) return new SplashTimeline(json);
+        if (!json || !Array.isArray(json.events)) {
+            throw new Error('expected an array of events or { "events": [...] }');
+        }
+        return new SplashTimeline(json.events, json.loopDuration ?? CONFIG.VIDEO_LOOP_DURATION);
+    }
+
+    /**
+     * Fetch and parse a timeline JSON file
+     * @param {string} url
+     * @returns {Promise<SplashTimeline>}
+     */
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        return SplashTimeline.fromJSON(await response.json());
+    }
+
+    // Start of the first event (seconds into the loop)
+    get start() {
+        return this.events.length > 0 ? this.events[0].start : 0;
+    }
+
+    // End of the last event (seconds into the loop)
+    get end() {
+        let end = 0;
+        for (const event of this.events) end = Math.max(end, event.end);
+        return end;
+    }
+
+    /**
+     * Events spawning at a moment of the loop
+     * @param {number} time - Seconds into the loop
+     * @returns {Object[]}
+     */
+    activeEvents(time) {
+        return this.events.filter(event => time >= event.start && time <= event.end);
+    }
+
+    /**
+     * First event whose window, widened by margin on both sides, holds time
+     * (the procedural wave uses the margin to rise in before and sink after)
+     * @param {number} time - Seconds into the loop
+     * @param {number} [margin] - Seconds
+     * @returns {Object|null}
+     */
+    eventAt(time, margin = 0) {
+        for (const event of this.events) {
+            if (time >= event.start - margin && time <= event.end + margin) return event;
+        }
+        return null;
+    }
+
+    // 0 at an event's start, 1 at its end
+    static progress(event, time) {
+        return Math.min(Math.max((time - event.start) / (event.end - event.start), 0), 1);
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * Text geometry for the splash target
+ * Shared by main-gpu.js and the headless simulation (scripts/simulate.js),
+ * so both collide against exactly the same mesh
+ */
+
+import * as THREE from 'three';
+import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js';
+
+// Starting text and style (the control panel edits a copy in main-gpu.js)
+export const DEFAULT_TEXT_SETTINGS = Object.freeze({
+    text: 'WEEKEND',
+    fontName: 'helvetiker',
+    fontWeight: 'bold',
+    size: 2.8,
+    height: 0.6,
+    letterSpacing: 0.5,
+    bevelEnabled: true,
+    bevelSize: 0.04,
+    underline: false
+});
+
+// settings: { size, height, letterSpacing, bevelEnabled, bevelSize } like DEFAULT_TEXT_SETTINGS
+export function createTextWithLetterSpacing(font, text, settings) {
+    if (settings.letterSpacing === 0) {
+        // No letter spacing - use standard TextGeometry
+        return new TextGeometry(text, {
+            font: font,
+            size: settings.size,
+            height: settings.height,
+            curveSegments: 24,
+            bevelEnabled: settings.bevelEnabled,
+            bevelThickness: 0.06,
+            bevelSize: settings.bevelSize,
+            bevelSegments: 6
+        });
+    }
+    
+    // Letter spacing: create each character separately and merge
+    const geometries = [];
+    let offsetX = 0;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === ' ') {
+            offsetX += settings.size * 0.5 + settings.letterSpacing;
+            continue;
+        }
+        
+        const charGeom = new TextGeometry(char, {
+            font: font,
+            size: settings.size,
+            height: settings.height,
+            curveSegments: 24,
+            bevelEnabled: settings.bevelEnabled,
+            bevelThickness: 0.06,
+            bevelSize: settings.bevelSize,
+            bevelSegments: 6
+        });
+        
+        charGeom.computeBoundingBox();
+        const charWidth = charGeom.boundingBox.max.x - charGeom.boundingBox.min.x;
+        
+        // Translate character to position
+        charGeom.translate(offsetX - charGeom.boundingBox.min.x, 0, 0);
+        geometries.push(charGeom);
+        
+        offsetX += charWidth + settings.letterSpacing;
+    }
+    
+    // Merge all character geometries
+    if (geometries.length === 0) return null;
+    if (geometries.length === 1) return geometries[0];
+    
+    // Use BufferGeometryUtils to merge
+    const mergedGeometry = mergeBufferGeometries(geometries);
+    return mergedGeometry;
+}
+
+// Simple geometry merge function
+function mergeBufferGeometries(geometries) {
+    let totalPositions = 0;
+    let totalNormals = 0;
+    let totalIndices = 0;
+    
+    geometries.forEach(g => {
+        g.computeVertexNormals();
+        totalPositions += g.attributes.position.count;
+        if (g.index) totalIndices += g.index.count;
+    });
+    
+    const positions = new Float32Array(totalPositions * 3);
+    const normals = new Float32Array(totalPositions * 3);
+    const indices = [];
+    
+    let posOffset = 0;
+    let idxOffset = 0;
+    
+    geometries.forEach(g => {
+        const pos = g.attributes.position.array;
+        const norm = g.attributes.normal.array;
+        
+        positions.set(pos, posOffset * 3);
+        normals.set(norm, posOffset * 3);
+        
+        if (g.index) {
+            const idx = g.index.array;
+            for (let i = 0; i < idx.length; i++) {
+                indices.push(idx[i] + posOffset);
+            }
+        }
+        
+        posOffset += g.attributes.position.count;
+    });
+    
+    const merged = new THREE.BufferGeometry();
+    merged.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    merged.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    if (indices.length > 0) {
+        merged.setIndex(indices);
+    }
+    
+    return merged;
+}
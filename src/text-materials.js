@@ -0,0 +1,65 @@
+/**
+ * Materials for the visible text mesh (CONFIG.SHOW_TEXT)
+ * Every style is transparent so it can fade with the text swap, but still
+ * writes depth so water behind the letters stays hidden
+ */
+
+import * as THREE from 'three';
+
+export const TEXT_MATERIAL_STYLES = ['glass', 'chrome', 'matte', 'emissive'];
+
+/**
+ * @param {string} style - One of TEXT_MATERIAL_STYLES (unknown styles fall back to matte)
+ * @param {THREE.Texture} [envMap] - Reflections for glass and chrome
+ * @returns {THREE.Material} With userData.baseOpacity, the opacity before fading
+ */
+export function createTextMaterial(style, envMap = null) {
+    let material;
+    
+    switch (style) {
+        case 'glass':
+            material = new THREE.MeshPhysicalMaterial({
+                color: 0xd8ecff,
+                metalness: 0,
+                roughness: 0.05,
+                transmission: 0.95,
+                thickness: 0.6,
+                ior: 1.45,
+                envMap,
+                envMapIntensity: 1.2,
+                opacity: 1
+            });
+            break;
+        case 'chrome':
+            material = new THREE.MeshStandardMaterial({
+                color: 0xe8eef5,
+                metalness: 1,
+                roughness: 0.12,
+                envMap,
+                opacity: 1
+            });
+            break;
+        case 'emissive':
+            material = new THREE.MeshStandardMaterial({
+                color: 0x0a1a33,
+                emissive: 0x3399ff,
+                emissiveIntensity: 1.4,
+                roughness: 0.4,
+                opacity: 1
+            });
+            break;
+        default:
+            if (style !== 'matte') console.warn(`Unknown text material "${style}", using matte`);
+            material = new THREE.MeshStandardMaterial({
+                color: 0x8a9bb0,
+                metalness: 0,
+                roughness: 0.85,
+                opacity: 1
+            });
+    }
+    
+    material.transparent = true;
+    material.depthWrite = true;
+    material.userData.baseOpacity = material.opacity;
+    return material;
+}
@@ -0,0 +1,46 @@
+/**
+ * Video backdrop
+ * The background footage (<video id="video-bg">, object-fit: cover) as a
+ * texture that water shaders can sample in screen space, for refraction and
+ * reflection. Shared by the droplet sprites and the fluid renderer so the
+ * video is only uploaded once per frame.
+ */
+
+import * as THREE from 'three';
+
+export class VideoBackdrop {
+    /**
+     * @param {HTMLVideoElement} video
+     */
+    constructor(video) {
+        this.video = video;
+        this.texture = new THREE.VideoTexture(video);
+        this.scale = new THREE.Vector2(1, 1); // Screen UV -> video UV
+        this.ready = false;
+    }
+
+    /**
+     * Refresh readiness and the cover scale for the canvas
+     * object-fit: cover crops the video; scale screen UVs into the visible part
+     * @param {HTMLCanvasElement} canvas
+     * @returns {boolean} Whether there is a frame to sample
+     */
+    update(canvas) {
+        const video = this.video;
+        this.ready = video.readyState >= 2 && video.videoWidth > 0;
+        if (!this.ready) return false;
+
+        const screenAspect = canvas.clientWidth / canvas.clientHeight;
+        const videoAspect = video.videoWidth / video.videoHeight;
+        if (screenAspect > videoAspect) {
+            this.scale.set(1, videoAspect / screenAspect);
+        } else {
+            this.scale.set(screenAspect / videoAspect, 1);
+        }
+        return true;
+    }
+
+    dispose() {
+        this.texture.dispose();
+    }
+}
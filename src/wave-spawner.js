@@ -0,0 +1,130 @@
+/**
+ * Wave splash spawning
+ * Shared by main-gpu.js and the headless simulation (scripts/simulate.js)
+ */
+
+import * as CONFIG from './config.js';
+import { splashTargetRegion } from './splash-timeline.js';
+
+// Head-on splash with the config's rate and spread, for callers without a timeline event
+const DEFAULT_EVENT = {
+    spawnRate: CONFIG.SPAWN_RATE,
+    direction: { x: 0, y: 0, z: -1 },
+    spread: CONFIG.SPLASH_SPREAD_XY,
+    target: null
+};
+
+/**
+ * Spawn one frame of the splash: most of the water lands straight on the
+ * letters, the rest flies in from the wave waveDistance away
+ * Spawns the event's spawnRate per 1/60s of simulated time, so elapsed is the
+ * time the coming physics steps cover
+ * @param {Object} particles - Any backend with spawn() (and spawnOnSurface())
+ * @param {THREE.Box3} textBBox
+ * @param {number} waveDistance - How far back along the event's direction the
+ *        flying water starts (the wave's z for a head-on event)
+ * @param {number} elapsed - Seconds
+ * @param {function(): number} random - Math.random or a seeded generator
+ * @param {Object} [emitter] - Procedural wave (emit(random, position, velocity, region)):
+ *        the flying water leaves its lip at the surface velocity; waveDistance
+ *        and direction are then unused
+ * @param {number} [intensity] - Scales the spawn rate and spread, launch speed by its
+ *        square root (audio bursts)
+ * @param {Object} [event] - Normalized splash timeline event (see splash-timeline.js)
+ */
+export function spawnWave(particles, textBBox, waveDistance, elapsed, random, emitter = null, intensity = 1, event = null) {
+    const splash = event ?? DEFAULT_EVENT;
+    const region = splashTargetRegion(splash, textBBox);
+    const width = region.maxX - region.minX;
+    const height = region.maxY - region.minY;
+    const centerX = (region.maxX + region.minX) / 2;
+    const centerY = (region.maxY + region.minY) / 2;
+    const totalCount = Math.round(splash.spawnRate * elapsed * 60 * intensity);
+    const speedScale = Math.sqrt(intensity);
+    const { right, up, direction } = directionFrame(splash.direction);
+    if (totalCount <= 0) return;
+    console.log(`Spawning ${totalCount} particles...`);
+
+    // Fase 1: capa de agua pegada a las letras (STUCK/SLIDING)
+    // Gran parte del baldazo se coloca directamente sobre la superficie del texto.
+    const surfaceRatio = 0.7;
+    const surfaceCount = Math.floor(totalCount * surfaceRatio);
+    const flyingTarget = totalCount - surfaceCount;
+    let spawnedSurface = 0;
+    
+    if (surfaceCount > 0 && particles.spawnOnSurface) {
+        const surfaceSizes = new Float32Array(surfaceCount);
+        const stickTimes = new Float32Array(surfaceCount);
+        
+        for (let i = 0; i < surfaceCount; i++) {
+            surfaceSizes[i] = CONFIG.DROP_SIZE_MIN + random() * (CONFIG.DROP_SIZE_MAX - CONFIG.DROP_SIZE_MIN);
+            // Empezar con distintos "progresos" de stick para que unas gotas se suelten antes
+            stickTimes[i] = random() * CONFIG.STICK_DURATION_MIN;
+        }
+        
+        const surfaceRegion = splash.target ? region : null;
+        spawnedSurface = particles.spawnOnSurface(surfaceCount, surfaceSizes, stickTimes, surfaceRegion) || 0;
+    }
+    
+    // Fase 2: agua volando desde la ola hacia las letras (FALLING -> impacto)
+    const flyingCount = spawnedSurface > 0 ? flyingTarget : totalCount; // fallback sin muestras de superficie: todo es flying
+    if (flyingCount <= 0) return;
+    
+    const positions = new Float32Array(flyingCount * 3);
+    const velocities = new Float32Array(flyingCount * 3);
+    const sizes = new Float32Array(flyingCount);
+    const slideSpeeds = new Float32Array(flyingCount);
+    
+    const emitPosition = { x: 0, y: 0, z: 0 };
+    const emitVelocity = { x: 0, y: 0, z: 0 };
+    
+    for (let i = 0; i < flyingCount; i++) {
+        if (emitter) {
+            emitter.emit(random, emitPosition, emitVelocity, region);
+            positions[i * 3] = emitPosition.x;
+            positions[i * 3 + 1] = emitPosition.y;
+            positions[i * 3 + 2] = emitPosition.z;
+            velocities[i * 3] = emitVelocity.x;
+            velocities[i * 3 + 1] = emitVelocity.y;
+            velocities[i * 3 + 2] = emitVelocity.z;
+        } else {
+            // Spawn position - cubrir prácticamente todo el ancho/alto del texto
+            const x = centerX + (random() - 0.5) * width * 1.2;
+            const y = centerY + (random() - 0.5) * height * 1.1;
+            // Back along the direction so the splash clearly travels from the wave toward the text
+            const back = waveDistance + (random() - 0.5) * 2.0;
+            positions[i * 3] = x - direction.x * back;
+            positions[i * 3 + 1] = y - direction.y * back;
+            positions[i * 3 + 2] = -direction.z * back;
+            
+            // Velocity: along the direction with sideways spread
+            const angle = random() * Math.PI * 2;
+            const spread = random() * splash.spread * intensity;
+            const side = Math.cos(angle) * spread + (random() - 0.5) * 2.0;
+            const lift = Math.sin(angle) * spread + (random() - 0.5) * 4.0;
+            const speed = (random() * CONFIG.SPLASH_VELOCITY_SPREAD - CONFIG.SPLASH_VELOCITY_Z) * speedScale;
+            velocities[i * 3] = right.x * side + up.x * lift + direction.x * speed;
+            velocities[i * 3 + 1] = right.y * side + up.y * lift + direction.y * speed;
+            velocities[i * 3 + 2] = right.z * side + up.z * lift + direction.z * speed;
+        }
+        
+        // Random drop sizes
+        sizes[i] = CONFIG.DROP_SIZE_MIN + random() * (CONFIG.DROP_SIZE_MAX - CONFIG.DROP_SIZE_MIN);
+        slideSpeeds[i] = random();
+    }
+    
+    particles.spawn(positions, velocities, sizes, slideSpeeds);
+}
+
+// Sideways axes for a travel direction; (1,0,0)/(0,1,0) for the head-on (0,0,-1)
+function directionFrame(direction) {
+    let right = { x: -direction.z, y: 0, z: direction.x }; // direction x world up
+    const length = Math.hypot(right.x, right.z);
+    right = length > 1e-6 ? { x: right.x / length, y: 0, z: right.z / length } : { x: 1, y: 0, z: 0 };
+    const up = {
+        x: right.y * direction.z - right.z * direction.y,
+        y: right.z * direction.x - right.x * direction.z,
+        z: right.x * direction.y - right.y * direction.x
+    };
+    return { right, up, direction };
+}
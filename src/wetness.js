@@ -0,0 +1,129 @@
+/**
+ * Wetness field over the text
+ * A coarse voxel grid (same bounds as the SDF) that drops on the letters wet
+ * and time dries, uploaded as a 3D texture that darkens the text material and
+ * makes it glossier. Outlives the drops, so streaks stay after the splash.
+ *
+ * CPU backends deposit straight from their particle arrays (depositParticles),
+ * WebGPU counts drops per cell on the GPU and hands the counts over (addCounts)
+ */
+
+import * as THREE from 'three';
+import * as CONFIG from './config.js';
+import { STUCK, SLIDING } from './physics-kernel.js';
+
+export class WetnessField {
+    /**
+     * @param {THREE.Box3} bbox - SDF bounds
+     * @param {number} resolution - Cells per axis
+     */
+    constructor(bbox, resolution = CONFIG.WETNESS_RESOLUTION) {
+        this.resolution = resolution;
+        this.min = bbox.min.clone();
+        this.size = new THREE.Vector3().subVectors(bbox.max, bbox.min);
+        this.data = new Float32Array(resolution * resolution * resolution);
+
+        // 8-bit so linear filtering works everywhere (float textures need an extension)
+        this.texture = new THREE.Data3DTexture(new Uint8Array(this.data.length), resolution, resolution, resolution);
+        this.texture.format = THREE.RedFormat;
+        this.texture.type = THREE.UnsignedByteType;
+        this.texture.minFilter = THREE.LinearFilter;
+        this.texture.magFilter = THREE.LinearFilter;
+        this.texture.unpackAlignment = 1;
+        this.texture.needsUpdate = true;
+    }
+
+    // Cell index for a world position, -1 outside the grid
+    cellIndex(x, y, z) {
+        const r = this.resolution;
+        const cx = Math.floor((x - this.min.x) / this.size.x * r);
+        const cy = Math.floor((y - this.min.y) / this.size.y * r);
+        const cz = Math.floor((z - this.min.z) / this.size.z * r);
+        if (cx < 0 || cy < 0 || cz < 0 || cx >= r || cy >= r || cz >= r) return -1;
+        return cx + cy * r + cz * r * r;
+    }
+
+    /**
+     * Wet the cells under every STUCK/SLIDING drop (impacts that stick included)
+     * @param {Object} p - Structure-of-arrays particles (posX/posY/posZ/state)
+     * @param {number} count - Slots to scan
+     * @param {number} dt - Seconds since the last deposit
+     */
+    depositParticles(p, count, dt) {
+        const amount = CONFIG.WETNESS_RATE * dt;
+        const data = this.data;
+        for (let i = 0; i < count; i++) {
+            const s = p.state[i];
+            if (s !== STUCK && s !== SLIDING) continue;
+            const cell = this.cellIndex(p.posX[i], p.posY[i], p.posZ[i]);
+            if (cell >= 0) data[cell] = Math.min(1, data[cell] + amount);
+        }
+    }
+
+    /**
+     * Wet cells by per-cell drop counts (from the WebGPU backend)
+     * @param {Uint32Array} counts - Drop-steps per cell
+     * @param {number} dt - Seconds each count stands for (one physics step)
+     */
+    addCounts(counts, dt) {
+        const amount = CONFIG.WETNESS_RATE * dt;
+        const data = this.data;
+        for (let i = 0; i < data.length; i++) {
+            if (counts[i] > 0) data[i] = Math.min(1, data[i] + counts[i] * amount);
+        }
+    }
+
+    // Dry everything a little and push the result to the texture
+    decay(dt) {
+        const keep = Math.exp(-dt / CONFIG.WETNESS_DECAY_TIME);
+        const data = this.data;
+        const texels = this.texture.image.data;
+        for (let i = 0; i < data.length; i++) {
+            data[i] *= keep;
+            texels[i] = data[i] * 255;
+        }
+        this.texture.needsUpdate = true;
+    }
+
+    /**
+     * Make a MeshStandard/MeshPhysical material darker and glossier where wet
+     * Call again for every new material the field should show on
+     */
+    applyTo(material) {
+        const field = this;
+        material.onBeforeCompile = (shader) => {
+            shader.uniforms.wetnessMap = { value: field.texture };
+            shader.uniforms.wetnessMin = { value: field.min };
+            shader.uniforms.wetnessSize = { value: field.size };
+
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', '#include <common>\nvarying vec3 vWetnessPos;')
+                .replace('#include <begin_vertex>', '#include <begin_vertex>\nvWetnessPos = position;');
+
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', [
+                    '#include <common>',
+                    'uniform highp sampler3D wetnessMap;',
+                    'uniform vec3 wetnessMin;',
+                    'uniform vec3 wetnessSize;',
+                    'varying vec3 vWetnessPos;'
+                ].join('\n'))
+                .replace('#include <color_fragment>', [
+                    '#include <color_fragment>',
+                    'float wetness = texture(wetnessMap, (vWetnessPos - wetnessMin) / wetnessSize).r;',
+                    `diffuseColor.rgb *= 1.0 - ${CONFIG.WETNESS_DARKEN.toFixed(3)} * wetness;`
+                ].join('\n'))
+                .replace('#include <roughnessmap_fragment>', [
+                    '#include <roughnessmap_fragment>',
+                    'roughnessFactor = mix(roughnessFactor, 0.05, wetness);'
+                ].join('\n'));
+        };
+        // Keep wet and dry variants apart in three's program cache
+        material.customProgramCacheKey = () => 'wetness';
+        material.needsUpdate = true;
+    }
+
+    dispose() {
+        this.texture.dispose();
+    }
+}